@@ -0,0 +1,119 @@
+// Verification of signed requests from the MTProto server, for the Deno edge functions.
+// Mirrors src/syncSignature.js: signature is hex
+// HMAC-SHA256(secret, `${timestamp}.${nonce}.${METHOD}.${path}.${body}`), where path is the
+// pathname the server called (/functions/v1/<function>). Inside the function the request
+// URL has no /functions/v1 prefix, so pass the expected path explicitly.
+//
+// Usage (inside an edge function, before parsing the body):
+//   const body = await req.text();
+//   const check = await verifySyncSignature({
+//     secret: Deno.env.get('SYNC_SIGNING_SECRET')!,
+//     headers: req.headers,
+//     method: req.method,
+//     path: '/functions/v1/telegram-mtproto-sync',
+//     body,
+//   });
+//   if (!check.valid) return new Response(JSON.stringify({ error: check.reason }), { status: 401 });
+//
+// The nonce cache lives in the isolate's memory, so replays are only caught within one
+// isolate. Pass a nonceCache backed by a table if that matters for the endpoint.
+
+export interface NonceCache {
+  check(nonce: string): boolean | Promise<boolean>;
+}
+
+export type VerifyResult =
+  | { valid: true }
+  | { valid: false; reason: 'missing_headers' | 'stale_timestamp' | 'bad_signature' | 'replayed_nonce' };
+
+const encoder = new TextEncoder();
+
+export function createNonceCache(ttlMs = 5 * 60 * 1000): NonceCache {
+  const seen = new Map<string, number>();
+
+  return {
+    check(nonce: string) {
+      const now = Date.now();
+      for (const [key, expiresAt] of seen) {
+        if (expiresAt > now) break;
+        seen.delete(key);
+      }
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, now + ttlMs);
+      return true;
+    },
+  };
+}
+
+const defaultNonceCache = createNonceCache();
+
+async function computeSignature(
+  secret: string,
+  timestamp: string,
+  nonce: string,
+  method: string,
+  path: string,
+  body: string,
+) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body}`));
+  return Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Constant-time comparison of two hex strings
+function safeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+export async function verifySyncSignature({
+  secret,
+  headers,
+  method,
+  path,
+  body,
+  toleranceSec = 300,
+  nonceCache = defaultNonceCache,
+}: {
+  secret: string;
+  headers: Headers;
+  method: string;
+  path: string;
+  body: string;
+  toleranceSec?: number;
+  nonceCache?: NonceCache | null;
+}): Promise<VerifyResult> {
+  const timestamp = headers.get('x-sync-timestamp');
+  const nonce = headers.get('x-sync-nonce');
+  const signature = headers.get('x-sync-signature');
+
+  if (!timestamp || !nonce || !signature) {
+    return { valid: false, reason: 'missing_headers' };
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSec) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = await computeSignature(secret, timestamp, nonce, method, path, body || '');
+  if (!safeEqual(expected, signature.toLowerCase())) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  if (nonceCache && !(await nonceCache.check(nonce))) {
+    return { valid: false, reason: 'replayed_nonce' };
+  }
+
+  return { valid: true };
+}
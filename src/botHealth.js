@@ -0,0 +1,98 @@
+// Per-bot health state machine.
+//
+//   connecting -> healthy | degraded | banned | auth_error | stopped
+//   healthy    <-> degraded, and either -> banned | auth_error | stopped | connecting
+//   banned, auth_error -> connecting | stopped   (only a new connect attempt can clear them)
+//   stopped    -> connecting
+//
+// Every accepted transition is recorded with its timestamp and passed to the listeners.
+
+const TRANSITIONS = {
+  connecting: ['healthy', 'degraded', 'banned', 'auth_error', 'stopped'],
+  healthy: ['degraded', 'banned', 'auth_error', 'stopped', 'connecting'],
+  degraded: ['healthy', 'banned', 'auth_error', 'stopped', 'connecting'],
+  banned: ['connecting', 'stopped'],
+  auth_error: ['connecting', 'stopped'],
+  stopped: ['connecting']
+};
+
+// Map a Telegram error to the state it proves ('banned' | 'auth_error'), or null
+function classifyTelegramError(error) {
+  const message = typeof error === 'string' ? error : (error?.errorMessage || error?.message || '');
+
+  if (message.includes('USER_DEACTIVATED')) return 'banned';
+  if (
+    message.includes('AUTH_KEY_UNREGISTERED') ||
+    message.includes('SESSION_REVOKED') ||
+    message.includes('ACCESS_TOKEN_INVALID') ||
+    message.includes('ACCESS_TOKEN_EXPIRED')
+  ) {
+    return 'auth_error';
+  }
+  return null;
+}
+
+class BotHealthTracker {
+  constructor({ historySize = 20 } = {}) {
+    this.historySize = historySize;
+    this.bots = new Map();
+    this.listeners = [];
+  }
+
+  onTransition(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Returns the transition, or null when the bot is already in that state or the move is not allowed
+  transition(botId, state, { botName = null, reason = null, error = null } = {}) {
+    if (!TRANSITIONS[state]) {
+      throw new Error(`Estado de bot desconhecido: ${state}`);
+    }
+
+    const key = String(botId);
+    const current = this.bots.get(key);
+    if (current && (current.state === state || !TRANSITIONS[current.state].includes(state))) {
+      return null;
+    }
+
+    const transition = {
+      botId: key,
+      botName: botName ?? current?.botName ?? null,
+      state,
+      previousState: current?.state ?? null,
+      since: new Date().toISOString(),
+      reason,
+      error: error ? String(error) : null
+    };
+
+    const history = [...(current?.history || []), transition].slice(-this.historySize);
+    this.bots.set(key, { ...transition, history });
+
+    for (const listener of this.listeners) {
+      try {
+        listener(transition);
+      } catch (listenerError) {
+        console.error('Erro ao notificar transição de bot:', listenerError);
+      }
+    }
+    return transition;
+  }
+
+  get(botId) {
+    return this.bots.get(String(botId)) || null;
+  }
+
+  // Current state per bot, without the history
+  list() {
+    const states = {};
+    for (const [botId, { history, ...state }] of this.bots) {
+      states[botId] = state;
+    }
+    return states;
+  }
+}
+
+module.exports = {
+  classifyTelegramError,
+  BotHealthTracker
+};
@@ -0,0 +1,58 @@
+// Keeps the arrival order of events per chat while their handlers finish out of order
+// (profile photo and media downloads, album delay, deferred uploads).
+// A slot is reserved when the update arrives; once settled, slots run in reservation
+// order, so a slow event holds the later events of its chat but not other chats.
+class ChatSequencer {
+  constructor() {
+    this.chats = new Map();
+  }
+
+  // Returns { emit(fn), release() }; the first call settles the slot, later calls are ignored
+  reserve(key) {
+    let slots = this.chats.get(key);
+    if (!slots) {
+      slots = [];
+      this.chats.set(key, slots);
+    }
+
+    const slot = { settled: false, fn: null };
+    slots.push(slot);
+
+    const settle = (fn) => {
+      if (slot.settled) return;
+      slot.settled = true;
+      slot.fn = fn;
+      this.drain(key);
+    };
+
+    return {
+      emit: (fn) => settle(fn),
+      release: () => settle(null)
+    };
+  }
+
+  drain(key) {
+    const slots = this.chats.get(key);
+    while (slots.length > 0 && slots[0].settled) {
+      const { fn } = slots.shift();
+      if (!fn) continue;
+      try {
+        fn();
+      } catch (error) {
+        console.error('Erro ao emitir evento em ordem:', error);
+      }
+    }
+    if (slots.length === 0) this.chats.delete(key);
+  }
+
+  // Slots not emitted yet (reserved, or settled behind an earlier one)
+  get size() {
+    let count = 0;
+    for (const slots of this.chats.values()) {
+      count += slots.length;
+    }
+    return count;
+  }
+}
+
+module.exports = { ChatSequencer };
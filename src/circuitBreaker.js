@@ -0,0 +1,129 @@
+// Error thrown when a call is rejected because the circuit is open
+class CircuitOpenError extends Error {
+  constructor(name, retryInMs) {
+    super(`Circuito ${name} aberto, nova tentativa em ${retryInMs}ms`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryInMs = retryInMs;
+  }
+}
+
+// Shared circuit breaker: closed -> open after N consecutive failures,
+// open -> half_open after openDurationMs (a single probe request is let through),
+// half_open -> closed on probe success or back to open on probe failure.
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, openDurationMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.openDurationMs = openDurationMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.lastStateChange = new Date().toISOString();
+    this.listeners = [];
+    this.stats = {
+      opened: 0,
+      rejected: 0,
+      probes: 0
+    };
+  }
+
+  // Whether a call may go out now. In half_open this claims the single probe slot.
+  canRequest() {
+    if (this.state === 'open') {
+      if (this.getRetryInMs() > 0) {
+        this.stats.rejected++;
+        return false;
+      }
+      this.transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.probeInFlight) {
+        this.stats.rejected++;
+        return false;
+      }
+      this.probeInFlight = true;
+      this.stats.probes++;
+    }
+
+    return true;
+  }
+
+  // Side-effect free check used to pause dispatch (no probe slot is claimed)
+  isBlocked() {
+    if (this.state === 'open') return this.getRetryInMs() > 0;
+    if (this.state === 'half_open') return this.probeInFlight;
+    return false;
+  }
+
+  getRetryInMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.openDurationMs - Date.now());
+  }
+
+  assertCanRequest() {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name, this.getRetryInMs());
+    }
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.probeInFlight = false;
+    this.lastFailure = {
+      reason: String(reason),
+      at: new Date().toISOString()
+    };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== 'open') {
+        this.stats.opened++;
+        this.transition('open');
+      }
+    }
+  }
+
+  onStateChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.lastStateChange = new Date().toISOString();
+    for (const listener of this.listeners) {
+      try {
+        listener(state, previous);
+      } catch (error) {
+        console.error(`Erro no listener do circuito ${this.name}:`, error.message);
+      }
+    }
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeInMs: this.getRetryInMs(),
+      lastFailure: this.lastFailure,
+      lastStateChange: this.lastStateChange,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -0,0 +1,37 @@
+const { QueueJournal } = require('./queueJournal');
+
+// Users already seen by each bot, persisted so first-contact attribution
+// survives restarts. Each line of the journal records one (bot, user) pair.
+class ContactRegistry {
+  constructor(filePath) {
+    this.journal = new QueueJournal(filePath);
+    this.seen = new Set();
+  }
+
+  load() {
+    for (const entry of this.journal.load()) {
+      this.seen.add(entry.id);
+    }
+    return this.seen.size;
+  }
+
+  // Returns true the first time a user is seen by a bot
+  markSeen(botId, userId) {
+    const id = `${botId}:${userId}`;
+    if (this.seen.has(id)) return false;
+
+    this.seen.add(id);
+    try {
+      this.journal.append({ id, botId, userId: String(userId), firstSeenAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('⚠️ Erro ao gravar contato:', error.message);
+    }
+    return true;
+  }
+
+  get size() {
+    return this.seen.size;
+  }
+}
+
+module.exports = { ContactRegistry };
@@ -0,0 +1,94 @@
+const { QueueJournal } = require('./queueJournal');
+
+// Disk-backed store for queue items that could not be delivered.
+// Entries keep the full payload so they can be inspected and replayed later.
+class DeadLetterStore {
+  constructor(filePath, { maxEntries = 10000 } = {}) {
+    this.journal = new QueueJournal(filePath, { compactThreshold: maxEntries });
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stats = {
+      added: 0,
+      replayed: 0,
+      purged: 0,
+      evicted: 0
+    };
+  }
+
+  load() {
+    for (const entry of this.journal.load()) {
+      this.entries.set(entry.id, entry);
+    }
+    this.journal.compact(this.list());
+    return this.entries.size;
+  }
+
+  add(item, { status = null, error = null } = {}) {
+    // Evict the oldest entry once the store is full
+    if (this.entries.size >= this.maxEntries) {
+      const oldestId = this.entries.keys().next().value;
+      this.remove(oldestId);
+      this.stats.evicted++;
+    }
+
+    const entry = {
+      id: item.id,
+      sink: item.sink ?? null,
+      botId: item.botId ?? null,
+      botName: item.botName,
+      botTokenPrefix: item.botTokenPrefix,
+      type: item.type || 'message',
+      idempotencyKey: item.idempotencyKey ?? null,
+      payload: item.payload,
+      lastStatus: status,
+      lastError: error,
+      attempts: item.attempts || 0,
+      enqueuedAt: item.enqueuedAt ?? null,
+      deadAt: new Date().toISOString()
+    };
+
+    this.entries.set(entry.id, entry);
+    this.write(j => j.append(entry));
+    this.stats.added++;
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // Filter by sink, botId, botName, chatId and/or last HTTP status
+  list(filter = {}) {
+    return Array.from(this.entries.values()).filter(entry => {
+      if (filter.sink && (entry.sink || 'supabase') !== filter.sink) return false;
+      if (filter.botId && String(entry.botId) !== String(filter.botId)) return false;
+      if (filter.botName && entry.botName !== filter.botName) return false;
+      if (filter.chatId && String(entry.payload?.chatId) !== String(filter.chatId)) return false;
+      if (filter.status && String(entry.lastStatus) !== String(filter.status)) return false;
+      return true;
+    });
+  }
+
+  remove(id) {
+    if (!this.entries.has(id)) return false;
+    this.entries.delete(id);
+    this.write(j => j.ack(id));
+    return true;
+  }
+
+  write(fn) {
+    fn(this.journal);
+    if (this.journal.shouldCompact()) {
+      this.journal.compact(this.list());
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size
+    };
+  }
+}
+
+module.exports = { DeadLetterStore };
@@ -0,0 +1,78 @@
+// Telegram FLOOD_WAIT handling.
+// gramjs sleeps through short waits by itself (floodSleepThreshold, 60s by default);
+// longer ones surface as errors and put the bot into a cooldown until the wait expires.
+
+// Returns { seconds, reason } for FLOOD_WAIT_X / FLOOD_PREMIUM_WAIT_X / SLOWMODE_WAIT_X, else null.
+// SLOWMODE_WAIT only limits one chat, callers should not cool down the whole bot for it.
+function parseFloodWait(error) {
+  if (!error) return null;
+
+  const message = String(error.errorMessage || '') + ' ' + String(error.message || '');
+  const named = /(FLOOD_PREMIUM_WAIT|FLOOD_WAIT|SLOWMODE_WAIT)_(\d+)/.exec(message);
+  if (named) {
+    return { seconds: Number(named[2]), reason: named[1] };
+  }
+
+  // gramjs FloodWaitError / SlowModeWaitError: "A wait of X seconds is required..."
+  if (typeof error.seconds === 'number' && /wait of \d+ seconds/i.test(message)) {
+    return {
+      seconds: error.seconds,
+      reason: /in this chat/.test(message) ? 'SLOWMODE_WAIT' : 'FLOOD_WAIT'
+    };
+  }
+
+  return null;
+}
+
+// Per-bot cooldowns; expired entries are dropped on read
+class FloodCooldowns {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  set(botId, seconds, reason = 'FLOOD_WAIT') {
+    const now = Date.now();
+    const until = now + seconds * 1000;
+    const current = this.entries.get(botId);
+
+    // Never shorten a longer wait already in place
+    if (current && current.until >= until) return this.get(botId);
+
+    this.entries.set(botId, { reason, seconds, startedAt: now, until });
+    return this.get(botId);
+  }
+
+  get(botId) {
+    const entry = this.entries.get(botId);
+    if (!entry) return null;
+
+    const remainingMs = entry.until - Date.now();
+    if (remainingMs <= 0) {
+      this.entries.delete(botId);
+      return null;
+    }
+
+    return {
+      reason: entry.reason,
+      seconds: entry.seconds,
+      startedAt: new Date(entry.startedAt).toISOString(),
+      until: new Date(entry.until).toISOString(),
+      retryAfter: Math.ceil(remainingMs / 1000)
+    };
+  }
+
+  clear(botId) {
+    this.entries.delete(botId);
+  }
+
+  list() {
+    const active = {};
+    for (const botId of Array.from(this.entries.keys())) {
+      const cooldown = this.get(botId);
+      if (cooldown) active[botId] = cooldown;
+    }
+    return active;
+  }
+}
+
+module.exports = { parseFloodWait, FloodCooldowns };
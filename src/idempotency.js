@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Deterministic key for a queue item: bot id + chat id + message id + event type.
+// Items may carry their own idempotencyKey when the event needs a finer identity.
+function buildIdempotencyKey(item) {
+  if (item.idempotencyKey) return item.idempotencyKey;
+
+  const payload = item.payload || {};
+  return [
+    item.botId ?? item.botName,
+    payload.chatId ?? '',
+    payload.messageId ?? '',
+    item.type || 'message'
+  ].join(':');
+}
+
+// Single header value for a batch request (hash of the item keys, in order)
+function batchIdempotencyKey(items) {
+  if (items.length === 1) return items[0].idempotencyKey;
+
+  return crypto
+    .createHash('sha256')
+    .update(items.map(item => item.idempotencyKey).join('\n'))
+    .digest('hex');
+}
+
+// Bounded set that forgets the least recently used keys
+class LruSet {
+  constructor(maxSize = 10000) {
+    this.maxSize = maxSize;
+    this.keys = new Map();
+  }
+
+  has(key) {
+    if (!this.keys.has(key)) return false;
+    // Refresh recency
+    this.keys.delete(key);
+    this.keys.set(key, true);
+    return true;
+  }
+
+  add(key) {
+    this.keys.delete(key);
+    this.keys.set(key, true);
+    if (this.keys.size > this.maxSize) {
+      this.keys.delete(this.keys.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.keys.delete(key);
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+}
+
+module.exports = {
+  buildIdempotencyKey,
+  batchIdempotencyKey,
+  LruSet
+};
@@ -0,0 +1,38 @@
+// Counts running operations by kind (HTTP requests, update handlers, albums waiting
+// to be emitted...) so shutdown can wait for them before exiting.
+class InFlightTracker {
+  constructor() {
+    this.counts = new Map();
+    this.size = 0;
+  }
+
+  // Returns the function that ends the operation (safe to call more than once)
+  begin(kind) {
+    this.counts.set(kind, (this.counts.get(kind) || 0) + 1);
+    this.size++;
+
+    let ended = false;
+    return () => {
+      if (ended) return;
+      ended = true;
+      this.counts.set(kind, this.counts.get(kind) - 1);
+      this.size--;
+    };
+  }
+
+  // Track a promise until it settles; resolves/rejects with it
+  track(kind, promise) {
+    const end = this.begin(kind);
+    return Promise.resolve(promise).finally(end);
+  }
+
+  byKind() {
+    const active = {};
+    for (const [kind, count] of this.counts) {
+      if (count > 0) active[kind] = count;
+    }
+    return active;
+  }
+}
+
+module.exports = { InFlightTracker };
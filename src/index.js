@@ -6,15 +6,53 @@ try {
 }
 
 const express = require('express');
-const { TelegramClient, Api } = require('telegram');
-const { NewMessage } = require('telegram/events');
+const { TelegramClient, Api, utils } = require('telegram');
+const { NewMessage, EditedMessage, DeletedMessage, CallbackQuery, Raw } = require('telegram/events');
 const { StringSession } = require('telegram/sessions');
 const { CustomFile } = require('telegram/client/uploads');
+const { UpdateConnectionState } = require('telegram/network');
+const { returnBigInt } = require('telegram/Helpers');
 const { createClient } = require('@supabase/supabase-js');
 const http = require('http');
 const https = require('https');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { QueueJournal } = require('./queueJournal');
+const { DeadLetterStore } = require('./deadLetterStore');
+const { CircuitBreaker, CircuitOpenError } = require('./circuitBreaker');
+const { createWebhookSink, createFileSink, createStdoutSink } = require('./sinks');
+const { signRequest } = require('./syncSignature');
+const { buildIdempotencyKey, batchIdempotencyKey, LruSet } = require('./idempotency');
+const { MessageChatIndex } = require('./messageIndex');
+const { ContactRegistry } = require('./contactRegistry');
+const { hashToken, createFileSessionStore, createSupabaseSessionStore } = require('./sessionStore');
+const { parseFloodWait, FloodCooldowns } = require('./floodWait');
+const { UpdateStateStore } = require('./updateStateStore');
+const { createFileLeaseStore, createSupabaseLeaseStore } = require('./leaseStore');
+const { ShardCoordinator } = require('./shardCoordinator');
+const { InFlightTracker } = require('./inFlightTracker');
+const { ChatSequencer } = require('./chatSequencer');
+const { classifyTelegramError, BotHealthTracker } = require('./botHealth');
 
 const app = express();
+
+// Set when shutdown starts; new requests and updates are refused from then on
+let shutdownStartedAt = null;
+// Requests, update handlers and pending albums, awaited on shutdown
+const inFlight = new InFlightTracker();
+
+// Refuse new requests while shutting down and count the ones in progress
+app.use((req, res, next) => {
+  if (shutdownStartedAt) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Servidor desligando' });
+  }
+
+  res.on('close', inFlight.begin('http'));
+  next();
+});
+
 // Only parse JSON for non-multipart requests (multipart is parsed manually)
 app.use((req, res, next) => {
   const ct = req.headers['content-type'] || '';
@@ -34,6 +72,7 @@ console.log('   SUPABASE_ANON_KEY:', process.env.SUPABASE_ANON_KEY ? '✓ defini
 console.log('   TELEGRAM_API_ID:', process.env.TELEGRAM_API_ID ? '✓ definido' : '✗ NÃO definido');
 console.log('   TELEGRAM_API_HASH:', process.env.TELEGRAM_API_HASH ? '✓ definido' : '✗ NÃO definido');
 console.log('   TELEGRAM_SYNC_SECRET:', process.env.TELEGRAM_SYNC_SECRET ? '✓ definido' : '✗ NÃO definido');
+console.log('   SYNC_SIGNING_SECRET:', process.env.SYNC_SIGNING_SECRET ? '✓ definido (requisições assinadas)' : '✗ NÃO definido');
 
 const API_ID = parseInt(process.env.TELEGRAM_API_ID);
 const API_HASH = process.env.TELEGRAM_API_HASH;
@@ -44,7 +83,33 @@ const SUPABASE_SERVICE_ROLE_KEY =
   process.env.SUPABASE_SERVICE_ROLE;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const TELEGRAM_SYNC_SECRET = process.env.TELEGRAM_SYNC_SECRET;
+// HMAC signing of outbound backend calls (timestamp + nonce + body)
+const SYNC_SIGNING_SECRET = process.env.SYNC_SIGNING_SECRET;
+// Set to 'false' once the edge functions verify signatures, to stop sending the static secret
+const SYNC_SEND_STATIC_SECRET = process.env.SYNC_SEND_STATIC_SECRET !== 'false';
 const PORT = process.env.PORT || 3000;
+// Pause between bot logins on boot / reload
+const BOT_CONNECT_DELAY_MS = parseInt(process.env.BOT_CONNECT_DELAY_MS) || 500;
+// Local directory for state that must survive restarts (mount a persistent disk here)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Helper: Parse a JSON env var, falling back (with a warning) on invalid input
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`⚠️ ${name} não é um JSON válido, usando padrão:`, error.message);
+    return fallback;
+  }
+}
+
+// Helper: Parse an integer env var; unlike `parseInt(...) || fallback`, 0 is a valid value
+function parseIntEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
 
 // ============= RETRY & QUEUE CONFIGURATION =============
 const RETRY_CONFIG = {
@@ -55,9 +120,99 @@ const RETRY_CONFIG = {
 };
 
 const QUEUE_CONFIG = {
-  maxConcurrent: 3,        // Max concurrent sync requests
+  maxConcurrent: 3,        // Max concurrent sync requests (each request carries one batch)
   batchDelayMs: 100,       // Delay between batch items
-  maxQueueSize: 1000       // Max items in queue before dropping oldest
+  batch: {
+    // 1 keeps the legacy one-message-per-request format (type: 'message'); raise it only
+    // once the Edge Function answers messages_batch with per-item results
+    maxSize: Math.max(1, parseIntEnv('SYNC_BATCH_MAX_SIZE', 1)),
+    maxWaitMs: Math.max(0, parseIntEnv('SYNC_BATCH_MAX_WAIT_MS', 250)) // Max time a partial batch waits to fill
+  },
+  maxQueueSize: 1000,      // Max items across all bots before evicting from the largest bot queue
+  perBot: {
+    maxQueueSize: 300,       // Max items per bot sub-queue
+    dropPolicy: 'drop_oldest' // 'drop_oldest' | 'drop_newest' | 'dead_letter'
+  },
+  // Per-bot overrides keyed by bot id, e.g. {"<botId>": {"maxQueueSize": 50, "dropPolicy": "drop_newest"}}
+  botLimits: parseJsonEnv('QUEUE_BOT_LIMITS', {}),
+  journalPath: process.env.QUEUE_JOURNAL_PATH || path.join(DATA_DIR, 'queue-journal.jsonl'),
+  journalCompactThreshold: 5000, // Journal records written before rewriting the file
+  dedupCacheSize: parseInt(process.env.SYNC_DEDUP_CACHE_SIZE) || 10000, // Recent idempotency keys remembered per sink
+  deadLetterPath: process.env.DEAD_LETTER_PATH || path.join(DATA_DIR, 'dead-letters.jsonl'),
+  deadLetterMaxEntries: 10000,  // Oldest dead letters are evicted beyond this
+  // Delivery sinks, each with its own queue/retry state, e.g.
+  // [{"type":"supabase"},{"type":"webhook","name":"analytics","url":"https://...","headers":{"authorization":"..."}},
+  //  {"type":"file","name":"archive","path":"/data/archive.jsonl"},{"type":"stdout"}]
+  sinks: parseJsonEnv('SYNC_SINKS', [{ type: 'supabase' }])
+};
+
+// Webhook that only receives bot health transitions (type 'bot_status'), e.g. team alerts
+if (process.env.BOT_HEALTH_WEBHOOK_URL) {
+  QUEUE_CONFIG.sinks.push({
+    type: 'webhook',
+    name: 'bot-health',
+    url: process.env.BOT_HEALTH_WEBHOOK_URL,
+    headers: parseJsonEnv('BOT_HEALTH_WEBHOOK_HEADERS', {}),
+    types: ['bot_status']
+  });
+}
+
+const CIRCUIT_BREAKER_CONFIG = {
+  failureThreshold: parseInt(process.env.SUPABASE_BREAKER_FAILURE_THRESHOLD) || 5, // Consecutive failures before opening
+  openDurationMs: parseInt(process.env.SUPABASE_BREAKER_OPEN_MS) || 30000        // Time before a half-open probe
+};
+
+// Keeps the running bots in line with bots_black without manual /reload-bots calls
+const BOT_REGISTRY_CONFIG = {
+  // Poll interval of telegram-bots-list; 0 disables polling
+  pollIntervalMs: process.env.BOT_REGISTRY_POLL_MS !== undefined
+    ? parseInt(process.env.BOT_REGISTRY_POLL_MS) || 0
+    : 5 * 60 * 1000,
+  // Realtime subscription on bots_black (needs the service role key)
+  realtime: process.env.BOT_REGISTRY_REALTIME !== 'false',
+  realtimeTable: process.env.BOT_REGISTRY_TABLE || 'bots_black',
+  realtimeDebounceMs: 2000, // Bursts of row changes trigger a single reconciliation
+  // An empty list disconnects every bot only when confirmed (usually a backend failure)
+  allowEmpty: process.env.BOT_REGISTRY_ALLOW_EMPTY === 'true'
+};
+
+const SHUTDOWN_CONFIG = {
+  // Time to drain the queue and in-flight work before persisting and exiting
+  // (keep below the platform's kill timeout, e.g. 30s on Render)
+  timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000
+};
+
+// Splitting bots across instances with leases; off unless SHARD_LEASE_STORE is set
+const SHARDING_CONFIG = {
+  store: process.env.SHARD_LEASE_STORE || 'none', // 'supabase' | 'file' | 'none'
+  // Lease owner name; only [A-Za-z0-9_.-] so it can be used in PostgREST filters
+  instanceId: String(process.env.INSTANCE_ID || process.env.RENDER_INSTANCE_ID || `${os.hostname()}-${process.pid}`)
+    .replace(/[^A-Za-z0-9_.-]/g, '_'),
+  leaseTtlMs: parseInt(process.env.SHARD_LEASE_TTL_MS) || 60000,  // Lease expiry without renewal
+  heartbeatMs: parseInt(process.env.SHARD_HEARTBEAT_MS) || 15000, // Renewal / rebalance interval
+  filePath: process.env.SHARD_LEASE_PATH || path.join(DATA_DIR, 'leases.json'),
+  table: process.env.SHARD_LEASE_TABLE || 'telegram_bot_leases'
+};
+
+// Media uploads postponed while the Supabase circuit is open are held in memory;
+// beyond these limits the message goes out without its media
+const DEFERRED_UPLOAD_CONFIG = {
+  maxCount: parseIntEnv('MEDIA_DEFERRED_UPLOADS_MAX', 20),
+  maxBytes: parseIntEnv('MEDIA_DEFERRED_UPLOADS_MAX_MB', 100) * 1024 * 1024
+};
+
+const ALBUM_CONFIG = {
+  flushDelayMs: parseInt(process.env.ALBUM_FLUSH_MS) || 1500, // Quiet time after the last part before an album is emitted
+  maxParts: 10                                                // Telegram albums have at most 10 items
+};
+
+// Saved MTProto sessions, so reconnects reuse the auth key instead of a new ImportBotAuthorization
+const SESSION_CONFIG = {
+  // 'file' | 'supabase' | 'none' (file by default when an encryption key is set)
+  store: process.env.SESSION_STORE || (process.env.SESSION_ENCRYPTION_KEY ? 'file' : 'none'),
+  secret: process.env.SESSION_ENCRYPTION_KEY,
+  filePath: process.env.SESSION_STORE_PATH || path.join(DATA_DIR, 'sessions.json'),
+  table: process.env.SESSION_STORE_TABLE || 'telegram_bot_sessions'
 };
 
 // Keep-alive agents for better connection reuse
@@ -96,55 +251,337 @@ if (!supabaseAdmin) {
   console.warn('⚠️ SUPABASE_SERVICE_ROLE_KEY não definido: /connect/:botId ficará indisponível.');
 }
 
+// Session store (null when disabled or misconfigured: every connect logs in with the token)
+function createSessionStore(config) {
+  try {
+    switch (config.store) {
+      case 'none':
+        return null;
+      case 'file':
+        return createFileSessionStore({ filePath: config.filePath, secret: config.secret });
+      case 'supabase':
+        return createSupabaseSessionStore({ client: supabaseAdmin, table: config.table, secret: config.secret });
+      default:
+        throw new Error(`SESSION_STORE desconhecido: ${config.store}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Sessões MTProto não serão salvas: ${error.message}`);
+    return null;
+  }
+}
+
+const sessionStore = createSessionStore(SESSION_CONFIG);
+if (sessionStore) {
+  console.log(`🔑 Sessões MTProto salvas em: ${sessionStore.type}`);
+}
+
+// Shard coordinator (null when sharding is off: this instance runs every bot)
+function createShardCoordinator(config) {
+  if (config.store === 'none') return null;
+
+  const store = config.store === 'supabase'
+    ? createSupabaseLeaseStore({ client: supabaseAdmin, table: config.table })
+    : config.store === 'file'
+      ? createFileLeaseStore({ filePath: config.filePath })
+      : null;
+
+  if (!store) {
+    throw new Error(`SHARD_LEASE_STORE desconhecido: ${config.store}`);
+  }
+  return new ShardCoordinator(store, { instanceId: config.instanceId, leaseTtlMs: config.leaseTtlMs });
+}
+
+// Running every bot on each replica would sync every message twice, so a broken config is fatal
+let shardCoordinator;
+try {
+  shardCoordinator = createShardCoordinator(SHARDING_CONFIG);
+} catch (error) {
+  console.error('❌ Sharding mal configurado:', error.message);
+  process.exit(1);
+}
+if (shardCoordinator) {
+  console.log(`🧩 Sharding ativo: instância ${SHARDING_CONFIG.instanceId} (${shardCoordinator.store.type})`);
+}
+
+// Shared breaker for every edge function call (sync, upload-telegram-media, telegram-bots-list)
+const supabaseBreaker = new CircuitBreaker('supabase', CIRCUIT_BREAKER_CONFIG);
+
+supabaseBreaker.onStateChange((state, previous) => {
+  if (state === 'open') {
+    console.error(`🔴 Supabase indisponível: circuito aberto após ${supabaseBreaker.consecutiveFailures} falhas seguidas, pausando envios`);
+  } else if (state === 'half_open') {
+    console.log('🟡 Supabase: circuito semiaberto, enviando requisição de teste...');
+  } else if (state === 'closed' && previous !== 'closed') {
+    console.log('🟢 Supabase: circuito fechado, retomando envios');
+    for (const queue of sinkQueues.values()) {
+      if (queue.sink.breaker) queue.processQueue();
+    }
+  }
+});
+
 // Map of Telegram clients (one per bot)
 const telegramClients = new Map();
 
+// connecting / healthy / degraded / banned / auth_error / stopped per bot
+const botHealth = new BotHealthTracker();
+
+// Periodic tasks (health check, registry poll, shard heartbeat), stopped on shutdown
+const backgroundTimers = new Set();
+
+// message id -> chat id per bot, used to locate deleted messages
+const messageChatIndex = new MessageChatIndex(
+  parseInt(process.env.MESSAGE_INDEX_MAX_SIZE) || 100000
+);
+
+// Arrival order of message events per "botId:chatId", kept until they are enqueued
+const chatSequencer = new ChatSequencer();
+
+// Last blocked/unblocked status recorded per "botId:userId" ({ status, date })
+const subscriberStatuses = new Map();
+
+// Bots waiting out a FLOOD_WAIT, and their pending connect retries
+const floodCooldowns = new FloodCooldowns();
+const connectRetryTimers = new Map();
+
+// Bots automatic reconciliation must not reconnect: stopped via /disconnect, or banned /
+// auth_error on the last login. botId -> { reason, token } (token null: any token)
+const heldBots = new Map();
+
+// Last pts/qts/date/seq per bot, the starting point of the catch-up after a gap
+const updateStateStore = new UpdateStateStore(
+  process.env.UPDATE_STATE_PATH || path.join(DATA_DIR, 'update-state.json')
+);
+const catchUpsInProgress = new Set();
+
+// (bot, user) pairs already seen, used to flag first contact
+const contactRegistry = new ContactRegistry(
+  process.env.CONTACTS_PATH || path.join(DATA_DIR, 'contacts.jsonl')
+);
+
 // ============= MESSAGE QUEUE SYSTEM =============
 class MessageQueue {
-  constructor() {
-    this.queue = [];
+  constructor(sink, journal, deadLetters) {
+    this.sink = sink;
+    this.batchSize = sink.batchSize || QUEUE_CONFIG.batch.maxSize;
+    this.maxRetries = sink.maxRetries ?? RETRY_CONFIG.maxRetries;
+    // One FIFO sub-queue per bot, dispatched round-robin so a flooded bot can't starve others
+    this.botQueues = new Map();
+    this.cursor = 0;
+    this.size = 0;
+    this.inFlight = new Map();
+    // (bot, chat) keys with an item in flight; later items for the same chat wait behind it
+    this.activeChats = new Set();
+    // Idempotency keys recently enqueued or delivered; redelivered updates are dropped
+    this.recentKeys = new LruSet(QUEUE_CONFIG.dedupCacheSize);
+    this.journal = journal;
+    this.deadLetters = deadLetters;
     this.processing = false;
     this.activeRequests = 0;
+    this.wakeTimer = null;
+    this.wakeAt = 0;
     this.stats = {
+      batches: 0,
       processed: 0,
       failed: 0,
       retried: 0,
-      dropped: 0
+      dropped: 0,
+      restored: 0,
+      deduplicated: 0
     };
   }
 
+  // Reload items that were pending or in-flight when the process stopped
+  restore() {
+    if (!this.journal) return;
+
+    try {
+      const items = this.journal.load();
+      for (const item of items) {
+        item.idempotencyKey = item.idempotencyKey || buildIdempotencyKey(item);
+        this.recentKeys.add(item.idempotencyKey);
+        this.getBotQueue(item).items.push(item);
+        this.size++;
+      }
+      this.stats.restored += items.length;
+      this.journal.compact(this.pendingItems());
+
+      if (items.length > 0) {
+        console.log(`💾 [${this.sink.name}] ${items.length} mensagens pendentes restauradas do disco`);
+      }
+    } catch (error) {
+      console.error('❌ Erro ao restaurar fila do disco:', error.message);
+    }
+
+    this.processQueue();
+  }
+
+  getBotKey(item) {
+    return String(item.botId ?? item.botName);
+  }
+
+  getChatKey(item) {
+    return `${this.getBotKey(item)}:${item.payload?.chatId ?? ''}`;
+  }
+
+  getBotLimits(botKey) {
+    return { ...QUEUE_CONFIG.perBot, ...(QUEUE_CONFIG.botLimits[botKey] || {}) };
+  }
+
+  getBotQueue(item) {
+    const key = this.getBotKey(item);
+    let botQueue = this.botQueues.get(key);
+    if (!botQueue) {
+      botQueue = {
+        key,
+        botName: item.botName,
+        items: [],
+        stats: { enqueued: 0, processed: 0, failed: 0, dropped: 0 }
+      };
+      this.botQueues.set(key, botQueue);
+    }
+    return botQueue;
+  }
+
   enqueue(item) {
-    // Drop oldest items if queue is too large
-    if (this.queue.length >= QUEUE_CONFIG.maxQueueSize) {
-      const dropped = this.queue.shift();
-      this.stats.dropped++;
-      console.warn(`⚠️ Fila cheia, descartando mensagem antiga de [${dropped.botName}]`);
+    const idempotencyKey = buildIdempotencyKey(item);
+    if (this.recentKeys.has(idempotencyKey)) {
+      this.stats.deduplicated++;
+      console.log(`♻️ [${item.botName}] Duplicata ignorada (${this.sink.name}): ${idempotencyKey}`);
+      return false;
+    }
+
+    const botQueue = this.getBotQueue(item);
+    const limits = this.getBotLimits(botQueue.key);
+
+    // Per-bot quota: apply this bot's drop policy without touching other bots
+    if (botQueue.items.length >= limits.maxQueueSize) {
+      if (limits.dropPolicy === 'drop_newest') {
+        this.stats.dropped++;
+        botQueue.stats.dropped++;
+        console.warn(`⚠️ [${item.botName}] Fila do bot cheia, descartando mensagem nova`);
+        return false;
+      }
+      this.dropOldest(botQueue, limits.dropPolicy === 'dead_letter');
+    }
+
+    // Global cap: evict from whichever bot currently holds the most items
+    if (this.size >= QUEUE_CONFIG.maxQueueSize) {
+      const largest = Array.from(this.botQueues.values())
+        .reduce((a, b) => (b.items.length > a.items.length ? b : a));
+      this.dropOldest(largest, this.getBotLimits(largest.key).dropPolicy === 'dead_letter');
     }
     
-    this.queue.push({
+    const entry = {
       ...item,
+      sink: this.sink.name,
+      id: crypto.randomUUID(),
+      idempotencyKey,
       enqueuedAt: Date.now(),
       retryCount: 0
-    });
+    };
+
+    this.persist(j => j.append(entry));
+    this.recentKeys.add(idempotencyKey);
+    botQueue.items.push(entry);
+    botQueue.stats.enqueued++;
+    this.size++;
     
     this.processQueue();
+    return true;
+  }
+
+  dropOldest(botQueue, toDeadLetter) {
+    const dropped = botQueue.items.shift();
+    if (!dropped) return;
+
+    this.size--;
+    this.stats.dropped++;
+    botQueue.stats.dropped++;
+    this.recentKeys.delete(dropped.idempotencyKey);
+
+    if (toDeadLetter) {
+      this.deadLetter(dropped, { status: null, error: 'Dropped: bot queue full' });
+    }
+    this.persist(j => j.ack(dropped.id));
+    console.warn(`⚠️ Fila cheia, descartando mensagem antiga de [${dropped.botName}]`);
+  }
+
+  // Take the next item, rotating across bots with pending items.
+  // Only the oldest pending item of each chat is eligible, and only while no other
+  // item of that chat is in flight, so delivery order within a chat is preserved.
+  dequeue() {
+    const queues = Array.from(this.botQueues.values());
+    for (let i = 0; i < queues.length; i++) {
+      const botQueue = queues[(this.cursor + i) % queues.length];
+      const index = this.findReadyIndex(botQueue.items);
+      if (index !== -1) {
+        this.cursor = (this.cursor + i + 1) % queues.length;
+        this.size--;
+        return botQueue.items.splice(index, 1)[0];
+      }
+    }
+    return null;
+  }
+
+  findReadyIndex(items) {
+    const now = Date.now();
+    const blocked = new Set(this.activeChats);
+    for (let i = 0; i < items.length; i++) {
+      const chatKey = this.getChatKey(items[i]);
+      // An item waiting for its retry delay still blocks the rest of its chat
+      if (!blocked.has(chatKey) && !(items[i].nextAttemptAt > now)) return i;
+      blocked.add(chatKey);
+    }
+    return -1;
   }
 
   async processQueue() {
     if (this.processing) return;
     this.processing = true;
 
-    while (this.queue.length > 0 && this.activeRequests < QUEUE_CONFIG.maxConcurrent) {
-      const item = this.queue.shift();
+    while (this.size > 0 && this.activeRequests < QUEUE_CONFIG.maxConcurrent) {
+      // Pause dispatch while the sink's backend is down; the next batch after
+      // the open period becomes the half-open probe
+      if (this.sink.breaker?.isBlocked()) {
+        const retryIn = this.sink.breaker.getRetryInMs();
+        if (retryIn > 0) this.scheduleProcessing(retryIn);
+        break;
+      }
+
+      // Let a partial batch fill up until its oldest item has waited maxWaitMs
+      const waitMs = this.getBatchWaitMs();
+      if (waitMs > 0) {
+        this.scheduleProcessing(waitMs);
+        break;
+      }
+
+      // dequeue() never returns two items of the same chat while one is in flight,
+      // so a batch holds at most one item per chat and ordering is preserved
+      const batch = [];
+      while (batch.length < this.batchSize) {
+        const item = this.dequeue();
+        if (!item) break;
+        this.inFlight.set(item.id, item);
+        this.activeChats.add(this.getChatKey(item));
+        batch.push(item);
+      }
+
+      if (batch.length === 0) {
+        // Everything left is waiting on a retry delay or behind an in-flight chat
+        const retryDelay = this.getNextRetryDelayMs();
+        if (retryDelay !== null) this.scheduleProcessing(retryDelay);
+        break;
+      }
+
       this.activeRequests++;
       
-      // Process item without awaiting to allow concurrency
-      this.processItem(item)
+      // Process batch without awaiting to allow concurrency
+      this.processBatch(batch)
         .catch(err => console.error('Queue processing error:', err))
         .finally(() => {
           this.activeRequests--;
           // Continue processing if there are more items
-          if (this.queue.length > 0) {
+          if (this.size > 0) {
             setTimeout(() => this.processQueue(), QUEUE_CONFIG.batchDelayMs);
           }
         });
@@ -153,38 +590,286 @@ class MessageQueue {
     this.processing = false;
   }
 
-  async processItem(item) {
+  getBatchWaitMs() {
+    if (this.size >= this.batchSize) return 0;
+
+    let oldest = Infinity;
+    for (const botQueue of this.botQueues.values()) {
+      if (botQueue.items.length > 0) {
+        oldest = Math.min(oldest, botQueue.items[0].enqueuedAt);
+      }
+    }
+    if (oldest === Infinity) return 0;
+
+    return Math.max(0, QUEUE_CONFIG.batch.maxWaitMs - (Date.now() - oldest));
+  }
+
+  getNextRetryDelayMs() {
+    const now = Date.now();
+    let next = null;
+    for (const botQueue of this.botQueues.values()) {
+      for (const item of botQueue.items) {
+        if (item.nextAttemptAt > now && (next === null || item.nextAttemptAt < next)) {
+          next = item.nextAttemptAt;
+        }
+      }
+    }
+    return next === null ? null : next - now;
+  }
+
+  scheduleProcessing(delayMs) {
+    const wakeAt = Date.now() + delayMs;
+    if (this.wakeTimer && this.wakeAt <= wakeAt) return;
+
+    clearTimeout(this.wakeTimer);
+    this.wakeAt = wakeAt;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.processQueue();
+    }, delayMs);
+  }
+
+  async processBatch(batch) {
+    this.stats.batches++;
+
+    let results;
     try {
-      const success = await syncViaBackendFunctionWithRetry(
-        item.botName,
-        item.botTokenPrefix,
-        item.payload,
-        item.retryCount
-      );
-      
-      if (success) {
-        this.stats.processed++;
-        const mediaInfo = item.payload.fileUniqueId ? ` (mídia: ${item.payload.fileUniqueId})` : '';
-        console.log(`✅ [${item.botName}] Mensagem sincronizada${mediaInfo}`);
+      results = await this.sink.deliver(batch);
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        // Not an attempt: put the items back untouched until the circuit allows requests
+        results = batch.map(() => ({ ok: false, deferred: true, retryInMs: error.retryInMs }));
       } else {
-        this.stats.failed++;
+        console.warn(`⚠️ [${this.sink.name}] Erro no lote de ${batch.length} mensagens:`, error.message);
+        results = batch.map(() => ({ ok: false, status: null, error: error.message, retryable: true }));
+      }
+    }
+
+    batch.forEach((item, i) => this.settle(item, results[i]));
+  }
+
+  // Apply one item's delivery result: done, scheduled for retry, or dead-lettered
+  settle(item, result) {
+    const botStats = this.getBotQueue(item).stats;
+
+    this.inFlight.delete(item.id);
+    this.activeChats.delete(this.getChatKey(item));
+
+    if (result.deferred) {
+      item.nextAttemptAt = Date.now() + result.retryInMs;
+      this.getBotQueue(item).items.unshift(item);
+      this.size++;
+      return;
+    }
+
+    item.attempts = (item.attempts || 0) + 1;
+
+    if (result.ok) {
+      this.stats.processed++;
+      botStats.processed++;
+      this.persist(j => j.ack(item.id));
+      const mediaInfo = item.payload.fileUniqueId ? ` (mídia: ${item.payload.fileUniqueId})` : '';
+      console.log(`✅ [${item.botName}] Mensagem sincronizada${mediaInfo} (${this.sink.name})`);
+      return;
+    }
+
+    if (result.retryable && item.retryCount < this.maxRetries) {
+      const delay = calculateBackoffDelay(item.retryCount);
+      item.retryCount++;
+      item.nextAttemptAt = Date.now() + delay;
+      this.stats.retried++;
+      // Back to the front of its bot queue so it stays ahead of later items of its chat
+      this.getBotQueue(item).items.unshift(item);
+      this.size++;
+      console.warn(`⚠️ [${item.botName}] Erro ${result.status ?? 'de rede'}, retry ${item.retryCount}/${this.maxRetries} em ${delay}ms (${this.sink.name})...`);
+      return;
+    }
+
+    this.stats.failed++;
+    botStats.failed++;
+    // Forget the key so a later redelivery of the same update can go through
+    this.recentKeys.delete(item.idempotencyKey);
+    this.deadLetter(item, result);
+    this.persist(j => j.ack(item.id));
+  }
+
+  // Keep the failed item (with its last error) instead of losing the payload
+  deadLetter(item, { status, error }) {
+    if (!this.deadLetters) return;
+
+    try {
+      this.deadLetters.add(item, { status, error });
+      console.warn(`🪦 [${item.botName}] Mensagem movida para dead-letter (${this.sink.name}, status: ${status ?? 'rede'})`);
+    } catch (err) {
+      console.error('❌ Erro ao gravar dead-letter:', err.message);
+    }
+  }
+
+  pendingItems() {
+    const queued = Array.from(this.botQueues.values()).flatMap(q => q.items);
+    return [...this.inFlight.values(), ...queued];
+  }
+
+  isIdle() {
+    return this.size === 0 && this.inFlight.size === 0;
+  }
+
+  // Stop scheduling and rewrite the journal with what is left; returns the item count
+  // Items still in flight are kept too, they are restored and resent on the next boot
+  close() {
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+
+    const remaining = this.pendingItems();
+    if (this.journal) {
+      try {
+        this.journal.compact(remaining);
+        this.journal.close();
+      } catch (error) {
+        console.error('❌ Erro ao gravar fila em disco:', error.message);
+      }
+    }
+    return remaining.length;
+  }
+
+  // Write to the journal without letting disk errors break message handling
+  persist(fn) {
+    if (!this.journal) return;
+
+    try {
+      fn(this.journal);
+      if (this.journal.shouldCompact()) {
+        this.journal.compact(this.pendingItems());
       }
     } catch (error) {
-      console.error(`❌ [${item.botName}] Erro fatal ao processar:`, error.message);
-      this.stats.failed++;
+      console.error('❌ Erro ao gravar fila em disco:', error.message);
     }
   }
 
+  // Per-bot depth, lag (age of the oldest pending item) and counters
+  getBotStats() {
+    const now = Date.now();
+    const inFlightByBot = new Map();
+    for (const item of this.inFlight.values()) {
+      const key = this.getBotKey(item);
+      inFlightByBot.set(key, (inFlightByBot.get(key) || 0) + 1);
+    }
+
+    return Array.from(this.botQueues.values()).map(q => ({
+      botId: q.key,
+      botName: q.botName,
+      depth: q.items.length,
+      inFlight: inFlightByBot.get(q.key) || 0,
+      lagMs: q.items.length > 0 ? now - q.items[0].enqueuedAt : 0,
+      maxQueueSize: this.getBotLimits(q.key).maxQueueSize,
+      ...q.stats
+    }));
+  }
+
   getStats() {
     return {
       ...this.stats,
-      queueSize: this.queue.length,
-      activeRequests: this.activeRequests
+      queueSize: this.size,
+      activeRequests: this.activeRequests,
+      paused: this.sink.breaker ? this.sink.breaker.isBlocked() : false,
+      bots: this.getBotStats()
     };
   }
 }
 
-const messageQueue = new MessageQueue();
+const deadLetterStore = new DeadLetterStore(QUEUE_CONFIG.deadLetterPath, {
+  maxEntries: QUEUE_CONFIG.deadLetterMaxEntries
+});
+
+// Build a sink from its SYNC_SINKS entry
+function createSink(config) {
+  switch (config.type) {
+    case 'supabase':
+      return {
+        name: config.name || 'supabase',
+        type: 'supabase',
+        batchSize: config.batchSize,
+        maxRetries: config.maxRetries,
+        types: config.types || null,
+        breaker: supabaseBreaker,
+        // Batch size 1 keeps the legacy one-message-per-request format
+        deliver: (items) => syncBatchViaBackendFunction(items, {
+          single: (config.batchSize || QUEUE_CONFIG.batch.maxSize) <= 1
+        })
+      };
+    case 'webhook':
+      return createWebhookSink(config);
+    case 'file':
+      return createFileSink(config);
+    case 'stdout':
+      return createStdoutSink(config);
+    default:
+      throw new Error(`Tipo de sink desconhecido: ${config.type}`);
+  }
+}
+
+// One queue (journal, retries, per-bot state) per configured sink
+const sinkQueues = new Map();
+
+for (const sinkConfig of QUEUE_CONFIG.sinks) {
+  const sink = createSink(sinkConfig);
+  if (sinkQueues.has(sink.name)) {
+    throw new Error(`Sink duplicado: ${sink.name} (use "name" para diferenciar)`);
+  }
+
+  // The Supabase sink keeps the original journal file so existing pending items are picked up
+  const journalPath = sink.type === 'supabase' && sink.name === 'supabase'
+    ? QUEUE_CONFIG.journalPath
+    : path.join(DATA_DIR, `queue-${sink.name}.jsonl`);
+
+  sinkQueues.set(sink.name, new MessageQueue(
+    sink,
+    new QueueJournal(journalPath, {
+      compactThreshold: QUEUE_CONFIG.journalCompactThreshold
+    }),
+    deadLetterStore
+  ));
+}
+
+console.log(`   SYNC_SINKS: ${Array.from(sinkQueues.keys()).join(', ')}`);
+
+// Fan a normalized payload out to every sink
+function enqueueSync(item) {
+  for (const queue of sinkQueues.values()) {
+    if (queue.sink.types && !queue.sink.types.includes(item.type || 'message')) continue;
+    queue.enqueue(item);
+  }
+}
+
+// Totals across sinks plus per-sink detail
+function getQueueStats() {
+  const totals = {
+    batches: 0,
+    processed: 0,
+    failed: 0,
+    retried: 0,
+    dropped: 0,
+    restored: 0,
+    deduplicated: 0,
+    queueSize: 0,
+    activeRequests: 0
+  };
+  const sinks = {};
+
+  for (const [name, queue] of sinkQueues) {
+    const stats = queue.getStats();
+    for (const key of Object.keys(totals)) {
+      totals[key] += stats[key];
+    }
+    sinks[name] = stats;
+  }
+
+  return {
+    ...totals,
+    deadLetters: deadLetterStore.getStats(),
+    sinks
+  };
+}
 
 // ============= UTILITY FUNCTIONS =============
 
@@ -232,6 +917,122 @@ function extractSenderInfo(message) {
   };
 }
 
+// Helper: Normalize formatting entities (bold, links, mentions...) to plain objects
+// e.g. MessageEntityTextUrl -> { type: 'text_url', offset, length, url }
+function normalizeEntities(entities) {
+  if (!Array.isArray(entities)) return [];
+
+  return entities.map((entity) => {
+    const type = String(entity.className || '')
+      .replace(/^(Input)?MessageEntity/, '')
+      .replace(/([a-z])([A-Z])/g, '$1_$2')
+      .toLowerCase();
+
+    const normalized = { type, offset: entity.offset, length: entity.length };
+    if (entity.url) normalized.url = entity.url;
+    if (entity.userId) normalized.userId = bigIntToString(entity.userId);
+    if (entity.language) normalized.language = entity.language;
+    if (entity.documentId) normalized.customEmojiId = bigIntToString(entity.documentId);
+    return normalized;
+  });
+}
+
+// Helper: Reply context (which message was replied to, and in which thread)
+function extractReplyTo(message) {
+  const header = message.replyTo;
+  if (!header || header.className === 'MessageReplyStoryHeader') return null;
+
+  return {
+    messageId: header.replyToMsgId ? String(header.replyToMsgId) : null,
+    threadId: header.replyToTopId ? String(header.replyToTopId) : null,
+    isForumTopic: header.forumTopic === true,
+    // Set when replying to a message from another chat
+    chatId: header.replyToPeerId ? extractChatId(header.replyToPeerId) : null,
+    quoteText: header.quote ? header.quoteText || null : null,
+  };
+}
+
+// Helper: Forward origin (user, channel or hidden name) and original date
+function extractForwardFrom(message) {
+  const header = message.fwdFrom;
+  if (!header) return null;
+
+  // gramjs resolves the original sender/chat entity when it is known
+  const entity = message.forward?.sender || message.forward?.chat || null;
+  const entityName = entity
+    ? entity.title || [entity.firstName, entity.lastName].filter(Boolean).join(' ') || null
+    : null;
+
+  return {
+    name: header.fromName || entityName,
+    username: entity?.username || null,
+    userId: header.fromId?.userId ? bigIntToString(header.fromId.userId) : null,
+    channelId: header.fromId?.channelId ? bigIntToString(header.fromId.channelId) : null,
+    chatId: header.fromId?.chatId ? bigIntToString(header.fromId.chatId) : null,
+    channelPostId: header.channelPost ? String(header.channelPost) : null,
+    postAuthor: header.postAuthor || null,
+    date: header.date ? new Date(header.date * 1000).toISOString() : null,
+  };
+}
+
+// Helper: Bot the message was sent through (inline mode)
+function extractViaBot(message) {
+  if (!message.viaBotId) return null;
+
+  return {
+    id: bigIntToString(message.viaBotId),
+    username: message.viaBot?.username || null,
+  };
+}
+
+// Helper: Decode a base64url /start parameter; null when it isn't valid base64url text
+// Deep-link params only allow [A-Za-z0-9_-], so plain values like "promo_ig" must survive a
+// round trip and decode to printable UTF-8 before being treated as encoded
+function decodeStartParam(param) {
+  if (!param || param.length < 4 || !/^[A-Za-z0-9_-]+$/.test(param)) return null;
+
+  const bytes = Buffer.from(param, 'base64url');
+  if (bytes.toString('base64url') !== param) return null;
+
+  let decoded;
+  try {
+    decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+  return /^[^\p{C}]+$/u.test(decoded) ? decoded : null;
+}
+
+// Helper: Parse "/name@bot args" into { name, args, startParam }
+// Commands addressed to another bot (in groups) are ignored
+function parseBotCommand(text, botUsername) {
+  const match = /^\/([A-Za-z0-9_]{1,64})(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+  if (!match) return null;
+
+  const [, rawName, target, rest] = match;
+  if (target && botUsername && target.toLowerCase() !== botUsername.toLowerCase()) return null;
+
+  const name = rawName.toLowerCase();
+  const args = rest ? rest.trim().split(/\s+/).filter(Boolean) : [];
+  const command = {
+    name,
+    args,
+    target: target || null,
+    startParam: null,
+    rawStartParam: null,
+    startParamEncoding: null,
+  };
+
+  if (name === 'start' && args.length > 0) {
+    const decoded = decodeStartParam(args[0]);
+    command.rawStartParam = args[0];
+    command.startParam = decoded ?? args[0];
+    command.startParamEncoding = decoded !== null ? 'base64url' : null;
+  }
+
+  return command;
+}
+
 // Helper: Calculate exponential backoff delay
 function calculateBackoffDelay(retryCount) {
   const delay = Math.min(
@@ -299,14 +1100,41 @@ async function getProfilePhotoUrl(client, userPeer, botName) {
 
 // ============= FETCH WITH RETRY =============
 
-// Enhanced fetch with retry and backoff
+// Helper: Headers shared by every backend function call
+function getBackendHeaders() {
+  const headers = {
+    'Content-Type': 'application/json',
+    apikey: SUPABASE_ANON_KEY,
+  };
+  if (SYNC_SEND_STATIC_SECRET) {
+    headers['x-sync-secret'] = TELEGRAM_SYNC_SECRET;
+  }
+  return headers;
+}
+
+// Enhanced fetch with retry and backoff.
+// Every attempt goes through the Supabase circuit breaker: when it is open the call
+// fails fast with CircuitOpenError instead of retrying against a degraded backend.
 async function fetchWithRetry(url, options, retryCount = 0) {
+  supabaseBreaker.assertCanRequest();
+
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
   
   try {
     const fetchOptions = {
       ...options,
+      // Sign each attempt separately so a retry is never rejected as a replayed nonce
+      headers: SYNC_SIGNING_SECRET
+        ? {
+            ...options.headers,
+            ...signRequest(SYNC_SIGNING_SECRET, {
+              method: options.method,
+              path: new URL(url).pathname,
+              body: options.body
+            })
+          }
+        : options.headers,
       signal: controller.signal,
       // Use keep-alive agent
       agent: url.startsWith('https') ? httpsAgent : httpAgent
@@ -314,9 +1142,17 @@ async function fetchWithRetry(url, options, retryCount = 0) {
     
     const response = await fetch(url, fetchOptions);
     clearTimeout(timeoutId);
+
+    // 4xx means the backend is up (the request was rejected), only 5xx counts as a failure
+    if (response.status >= 500) {
+      supabaseBreaker.recordFailure(`HTTP ${response.status}`);
+    } else {
+      supabaseBreaker.recordSuccess();
+    }
     return response;
   } catch (error) {
     clearTimeout(timeoutId);
+    supabaseBreaker.recordFailure(error.message);
     
     // Check if we should retry
     const isRetryable = 
@@ -327,7 +1163,7 @@ async function fetchWithRetry(url, options, retryCount = 0) {
       error.message?.includes('fetch failed') ||
       error.message?.includes('network');
     
-    if (isRetryable && retryCount < RETRY_CONFIG.maxRetries) {
+    if (isRetryable && retryCount < RETRY_CONFIG.maxRetries && !supabaseBreaker.isBlocked()) {
       const delay = calculateBackoffDelay(retryCount);
       console.log(`🔄 Retry ${retryCount + 1}/${RETRY_CONFIG.maxRetries} em ${delay}ms para ${url.split('/').pop()}`);
       await sleep(delay);
@@ -340,78 +1176,90 @@ async function fetchWithRetry(url, options, retryCount = 0) {
 
 // ============= SYNC FUNCTIONS =============
 
-// Sync message via backend function with retry
-async function syncViaBackendFunctionWithRetry(botName, botTokenPrefix, payload, initialRetryCount = 0) {
+// Helper: Body of a single queue item as the sync function expects it
+function toSyncData(item) {
+  return {
+    ...item.payload,
+    botToken: item.botTokenPrefix,
+  };
+}
+
+// Send a batch of queue items in one request (type: 'messages_batch').
+// With { single: true } the legacy one-item format (type: 'message') is used.
+// Resolves to one { ok, status, error, retryable } per item, in order.
+// The response is expected as { results: [{ id, success, status?, error? }] };
+// an item without a result is treated as a retryable failure.
+// Network errors are thrown so the caller can retry the whole batch.
+async function syncBatchViaBackendFunction(items, { single = false } = {}) {
   const url = `${SUPABASE_URL}/functions/v1/telegram-mtproto-sync`;
-  let retryCount = initialRetryCount;
 
-  while (retryCount <= RETRY_CONFIG.maxRetries) {
-    try {
-      const response = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          apikey: SUPABASE_ANON_KEY,
-          'x-sync-secret': TELEGRAM_SYNC_SECRET,
-        },
-        body: JSON.stringify({
-          type: 'message',
-          data: {
-            ...payload,
-            botToken: botTokenPrefix,
-          },
-        }),
-      });
+  const body = single
+    ? { type: items[0].type || 'message', data: toSyncData(items[0]) }
+    : {
+        type: 'messages_batch',
+        data: items.map(item => ({
+          id: item.id,
+          idempotencyKey: item.idempotencyKey,
+          type: item.type || 'message',
+          data: toSyncData(item),
+        })),
+      };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        
-        // Don't retry on 4xx errors (client errors)
-        if (response.status >= 400 && response.status < 500) {
-          console.error(`❌ [${botName}] Erro cliente (${response.status}):`, errorText);
-          return false;
-        }
-        
-        // Retry on 5xx errors
-        if (retryCount < RETRY_CONFIG.maxRetries) {
-          const delay = calculateBackoffDelay(retryCount);
-          console.warn(`⚠️ [${botName}] Erro ${response.status}, retry em ${delay}ms...`);
-          messageQueue.stats.retried++;
-          await sleep(delay);
-          retryCount++;
-          continue;
-        }
-        
-        console.error(`❌ [${botName}] Falha após ${RETRY_CONFIG.maxRetries} tentativas:`, errorText);
-        return false;
-      }
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: {
+      ...getBackendHeaders(),
+      'Idempotency-Key': batchIdempotencyKey(items),
+    },
+    body: JSON.stringify(body),
+  });
 
-      const okText = await response.text().catch(() => '');
-      if (okText) {
-        console.log(`✅ [${botName}] Sync OK (${response.status}) | resp: ${okText.slice(0, 100)}`);
-      }
-      return true;
-      
-    } catch (error) {
-      if (retryCount >= RETRY_CONFIG.maxRetries) {
-        console.error(`❌ [${botName}] Erro fatal após retries:`, error.message);
-        return false;
-      }
-      
-      const delay = calculateBackoffDelay(retryCount);
-      console.warn(`⚠️ [${botName}] Erro de rede, retry ${retryCount + 1} em ${delay}ms:`, error.message);
-      messageQueue.stats.retried++;
-      await sleep(delay);
-      retryCount++;
-    }
+  const responseText = await response.text().catch(() => '');
+
+  if (!response.ok) {
+    // Don't retry on 4xx errors (client errors)
+    const retryable = !(response.status >= 400 && response.status < 500);
+    const log = retryable ? console.warn : console.error;
+    log(`${retryable ? '⚠️' : '❌'} Erro ${response.status} no lote de ${items.length} mensagens:`, responseText.slice(0, 200));
+    return items.map(() => ({ ok: false, status: response.status, error: responseText, retryable }));
   }
-  
-  return false;
-}
 
-// Legacy sync function (direct call without queue)
-async function syncViaBackendFunction(botName, botTokenPrefix, payload) {
-  return syncViaBackendFunctionWithRetry(botName, botTokenPrefix, payload, 0);
+  if (single) {
+    return [{ ok: true, status: response.status, error: null }];
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch {
+    // Handled below: no per-item results
+  }
+
+  if (!Array.isArray(parsed?.results)) {
+    console.error('❌ Resposta do lote sem "results": a Edge Function não suporta messages_batch (use SYNC_BATCH_MAX_SIZE=1)');
+  }
+  const resultsById = new Map(
+    (Array.isArray(parsed?.results) ? parsed.results : []).map(r => [String(r.id), r])
+  );
+
+  console.log(`📦 Lote com ${items.length} mensagens enviado (${response.status})`);
+
+  return items.map(item => {
+    const itemResult = resultsById.get(item.id);
+    if (!itemResult) {
+      return { ok: false, status: response.status, error: 'Item sem resultado na resposta do lote', retryable: true };
+    }
+    if (itemResult.success) {
+      return { ok: true, status: itemResult.status ?? response.status, error: null };
+    }
+    const status = itemResult.status ?? null;
+    return {
+      ok: false,
+      status,
+      error: itemResult.error || 'Erro desconhecido',
+      retryable: !(status >= 400 && status < 500),
+    };
+  });
 }
 
 // ============= MEDIA HANDLING =============
@@ -423,11 +1271,7 @@ async function uploadMediaToStorage(base64Data, mimeType, fileUniqueId, fileId,
   try {
     const response = await fetchWithRetry(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': SUPABASE_ANON_KEY,
-        'x-sync-secret': TELEGRAM_SYNC_SECRET,
-      },
+      headers: getBackendHeaders(),
       body: JSON.stringify({
         base64Data,
         mimeType,
@@ -457,17 +1301,159 @@ async function uploadMediaToStorage(base64Data, mimeType, fileUniqueId, fileId,
         publicUrl: result.publicUrl 
       };
     }
-    
-    return null;
-  } catch (error) {
-    console.error(`❌ [${botName}] Erro ao fazer upload de mídia:`, error.message);
-    return null;
+    
+    return null;
+  } catch (error) {
+    // Not a failed upload: the caller retries once the circuit closes
+    if (error instanceof CircuitOpenError) throw error;
+    console.error(`❌ [${botName}] Erro ao fazer upload de mídia:`, error.message);
+    return null;
+  }
+}
+
+// Uploads waiting for the circuit to close (count and base64 size held in memory)
+const deferredUploads = { count: 0, bytes: 0 };
+
+// Retry an upload rejected by the open circuit until the backend is back.
+// Checks at least every second so shutdown gets the message out (without media) in time.
+async function uploadMediaWhenAvailable(base64Data, mimeType, fileUniqueId, fileId, botId, mediaType, botName) {
+  while (!shutdownStartedAt) {
+    if (supabaseBreaker.isBlocked()) {
+      await sleep(Math.min(Math.max(supabaseBreaker.getRetryInMs(), 100), 1000));
+      continue;
+    }
+    try {
+      return await uploadMediaToStorage(base64Data, mimeType, fileUniqueId, fileId, botId, mediaType, botName);
+    } catch (error) {
+      if (!(error instanceof CircuitOpenError)) throw error;
+    }
+  }
+
+  console.warn(`⚠️ [${botName}] Desligando, upload adiado da mídia ${fileUniqueId} descartado`);
+  return null;
+}
+
+// Helper: Text that may be a plain string or TextWithEntities (newer layers)
+function textOf(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : value.text ?? null;
+}
+
+// Helper: GeoPoint to { latitude, longitude, accuracyRadius } (null for GeoPointEmpty)
+function serializeGeoPoint(geo) {
+  if (!geo || geo.className === 'GeoPointEmpty') return null;
+  return {
+    latitude: geo.lat,
+    longitude: geo.long,
+    accuracyRadius: geo.accuracyRadius ?? null,
+  };
+}
+
+// Helper: Structured content for media that has nothing to download
+// (contact, location, live location, venue, poll, dice, game)
+function getStructuredContent(media) {
+  if (!media) return null;
+
+  switch (media.className) {
+    case 'MessageMediaContact': {
+      // userId is 0 when the contact has no Telegram account
+      const userId = bigIntToString(media.userId);
+      return {
+        type: 'contact',
+        phoneNumber: media.phoneNumber || null,
+        firstName: media.firstName || null,
+        lastName: media.lastName || null,
+        userId: userId && userId !== '0' ? userId : null,
+        vcard: media.vcard || null,
+      };
+    }
+
+    case 'MessageMediaGeo':
+      return { type: 'location', ...serializeGeoPoint(media.geo) };
+
+    case 'MessageMediaGeoLive':
+      return {
+        type: 'live_location',
+        ...serializeGeoPoint(media.geo),
+        heading: media.heading ?? null,
+        periodSeconds: media.period ?? null,
+        proximityNotificationRadius: media.proximityNotificationRadius ?? null,
+      };
+
+    case 'MessageMediaVenue':
+      return {
+        type: 'venue',
+        ...serializeGeoPoint(media.geo),
+        title: media.title || null,
+        address: media.address || null,
+        provider: media.provider || null,
+        venueId: media.venueId || null,
+        venueType: media.venueType || null,
+      };
+
+    case 'MessageMediaPoll': {
+      const poll = media.poll || {};
+      const results = media.results?.results || [];
+      const votersFor = (option) => {
+        const result = results.find((r) => Buffer.compare(Buffer.from(r.option), Buffer.from(option)) === 0);
+        return result ? { voters: result.voters, correct: result.correct === true } : { voters: null, correct: null };
+      };
+
+      return {
+        type: 'poll',
+        pollId: bigIntToString(poll.id),
+        question: textOf(poll.question),
+        options: (poll.answers || []).map((answer) => ({
+          text: textOf(answer.text),
+          option: Buffer.from(answer.option).toString('hex'),
+          ...votersFor(answer.option),
+        })),
+        totalVoters: media.results?.totalVoters ?? null,
+        closed: poll.closed === true,
+        isQuiz: poll.quiz === true,
+        multipleChoice: poll.multipleChoice === true,
+        publicVoters: poll.publicVoters === true,
+      };
+    }
+
+    case 'MessageMediaDice':
+      return {
+        type: 'dice',
+        emoticon: media.emoticon || null,
+        value: media.value ?? null,
+      };
+
+    case 'MessageMediaGame':
+      return {
+        type: 'game',
+        gameId: bigIntToString(media.game?.id),
+        shortName: media.game?.shortName || null,
+        title: media.game?.title || null,
+        description: media.game?.description || null,
+      };
+
+    default:
+      return null;
   }
 }
 
 // Helper: Determine media type and info from message
 function getMediaInfo(message) {
   const media = message.media;
+
+  // Contacts, locations, polls... carry their data inline, nothing to download
+  const structured = getStructuredContent(media);
+  if (structured) {
+    return {
+      type: structured.type,
+      subType: null,
+      mimeType: null,
+      id: null,
+      accessHash: null,
+      structured: true,
+      mediaObject: null
+    };
+  }
   const photo = message.photo || media?.photo;
   const document = message.document || media?.document;
   
@@ -567,7 +1553,7 @@ async function downloadMessageMedia(client, message, botName, botId) {
     
     const mediaInfo = getMediaInfo(message);
     
-    if (!mediaInfo) return null;
+    if (!mediaInfo || mediaInfo.structured) return null;
     
     // Log what we're processing
     const mediaDesc = mediaInfo.subType 
@@ -623,7 +1609,6 @@ async function downloadMessageMedia(client, message, botName, botId) {
     
     // Fallback fileUniqueId if needed
     if (!fileUniqueId) {
-      const crypto = require('crypto');
       const hash = crypto.createHash('md5').update(buffer).digest('hex').substring(0, 16);
       fileUniqueId = `gen_${hash}`;
     }
@@ -658,14 +1643,41 @@ async function downloadMessageMedia(client, message, botName, botId) {
     console.log(`📎 [${botName}] Mídia baixada: ${Math.round(properBuffer.length / 1024)}KB (${mimeType}) [ID: ${fileUniqueId}]`);
     
     // Upload to storage with deduplication
-    const result = await uploadMediaToStorage(base64, mimeType, fileUniqueId, fileId, botId, storageMediaType, botName);
+    let result;
+    try {
+      result = await uploadMediaToStorage(base64, mimeType, fileUniqueId, fileId, botId, storageMediaType, botName);
+    } catch (error) {
+      if (!(error instanceof CircuitOpenError)) throw error;
+
+      if (deferredUploads.count >= DEFERRED_UPLOAD_CONFIG.maxCount ||
+          deferredUploads.bytes + base64.length > DEFERRED_UPLOAD_CONFIG.maxBytes) {
+        console.warn(`⚠️ [${botName}] Limite de uploads adiados atingido, mídia ${fileUniqueId} não será salva`);
+        return null;
+      }
+
+      // Retried in the background; the message's chat slot holds later messages of its chat
+      console.warn(`⏸️ [${botName}] Supabase indisponível, upload da mídia ${fileUniqueId} adiado`);
+      deferredUploads.count++;
+      deferredUploads.bytes += base64.length;
+      const deferred = uploadMediaWhenAvailable(base64, mimeType, fileUniqueId, fileId, botId, storageMediaType, botName)
+        .then((uploaded) => (uploaded ? { ...uploaded, mediaType: storageMediaType, mimeType } : null))
+        .catch((uploadError) => {
+          console.error(`❌ [${botName}] Erro no upload adiado de mídia:`, uploadError.message);
+          return null;
+        })
+        .finally(() => {
+          deferredUploads.count--;
+          deferredUploads.bytes -= base64.length;
+        });
+      return { deferred };
+    }
     
     if (!result) {
       console.warn(`⚠️ [${botName}] Upload falhou, mídia não será salva`);
       return null;
     }
     
-    return result;
+    return { ...result, mediaType: storageMediaType, mimeType };
   } catch (error) {
     // Don't log connection errors
     if (!error.message?.includes('disconnected') && !error.message?.includes('Not connected')) {
@@ -677,12 +1689,133 @@ async function downloadMessageMedia(client, message, botName, botId) {
 
 // ============= MESSAGE HANDLER =============
 
+// Reserve the place of an event in its chat's order, when its update arrives
+function reserveChatSlot(botId, chatId) {
+  return chatSequencer.reserve(`${botId}:${chatId}`);
+}
+
+// Enqueue an event built on arrival, behind any earlier event of its chat still in progress.
+// orderChatId is the chat id as the message handler sees it (raw peer id, not the marked one)
+function enqueueSyncInOrder(item, orderChatId = item.payload?.chatId) {
+  if (!orderChatId) {
+    enqueueSync(item);
+    return;
+  }
+  reserveChatSlot(item.botId, orderChatId).emit(() => enqueueSync(item));
+}
+
+// Buffer the parts of a Telegram album (messages sharing a groupedId).
+// Each part registers when it arrives (with its chat slot) and is resolved once its payload
+// is built. The album is flushed flushDelayMs after the last arrival (or at maxParts), after
+// every registered part has settled, so incomplete albums still go out on timeout.
+// It takes the chat position of its first part.
+function createAlbumBuffer(onFlush) {
+  const albums = new Map();
+
+  function flush(key) {
+    const album = albums.get(key);
+    if (!album) return;
+
+    albums.delete(key);
+    clearTimeout(album.timer);
+
+    Promise.all(album.parts)
+      .then((parts) => {
+        const settled = parts.filter(Boolean);
+        if (settled.length > 0) {
+          album.slots[0].emit(() => onFlush(settled, album.groupedId));
+        }
+      })
+      .catch((error) => console.error('Erro ao emitir álbum:', error))
+      .finally(() => {
+        for (const slot of album.slots) slot.release();
+        album.end();
+      });
+  }
+
+  return {
+    // Returns the function that resolves this part ({ payload, mediaResult, mediaType } or null)
+    add(key, groupedId, slot) {
+      let album = albums.get(key);
+      if (!album) {
+        // Counted as in flight until emitted, so shutdown waits for the flush delay
+        album = { groupedId, parts: [], slots: [], timer: null, end: inFlight.begin('album') };
+        albums.set(key, album);
+      }
+
+      let resolvePart;
+      album.parts.push(new Promise((resolve) => { resolvePart = resolve; }));
+      album.slots.push(slot);
+
+      clearTimeout(album.timer);
+      if (album.parts.length >= ALBUM_CONFIG.maxParts) {
+        flush(key);
+      } else {
+        album.timer = setTimeout(() => flush(key), ALBUM_CONFIG.flushDelayMs);
+      }
+
+      return resolvePart;
+    }
+  };
+}
+
+// Helper: Merge album parts into one payload with an ordered media[] array
+function buildAlbumPayload(parts, groupedId) {
+  const sorted = [...parts].sort((a, b) => Number(a.payload.messageId) - Number(b.payload.messageId));
+  const first = sorted[0].payload;
+  // The caption usually sits on one part only
+  const captioned = sorted.find((part) => part.payload.text) || sorted[0];
+
+  return {
+    ...first,
+    text: captioned.payload.text,
+    rawText: captioned.payload.rawText,
+    entities: captioned.payload.entities,
+    command: captioned.payload.command ?? null,
+    firstContact: sorted.some((part) => part.payload.firstContact),
+    groupedId,
+    messageIds: sorted.map((part) => part.payload.messageId),
+    fileUniqueId: sorted.find((part) => part.mediaResult?.fileUniqueId)?.mediaResult.fileUniqueId || null,
+    media: sorted.map((part) => ({
+      messageId: part.payload.messageId,
+      fileUniqueId: part.mediaResult?.fileUniqueId || null,
+      type: part.mediaType,
+      mimeType: part.mediaResult?.mimeType || null,
+      caption: part.payload.text || null,
+    })),
+  };
+}
+
 // Create message handler for a specific bot
-function createMessageHandler(botId, botName, botTokenPrefix) {
+// eventType is 'message' (NewMessage) or 'message_edited' (EditedMessage)
+function createMessageHandler(botId, botName, botTokenPrefix, eventType = 'message') {
+  const isEdit = eventType === 'message_edited';
   // Cache to avoid fetching photo too frequently
   const photoCache = new Map();
+
+  // Album parts are merged into a single 'message' payload
+  const albumBuffer = createAlbumBuffer((parts, groupedId) => {
+    const payload = buildAlbumPayload(parts, groupedId);
+    console.log(`🖼️ [${botName}] Álbum com ${payload.media.length} itens | Chat: ${payload.chatId}`);
+
+    // Parts arriving after the flush go out as a follow-up album with their own ids.
+    // Edits are never buffered: each edited part goes out as a single message
+    const idempotencyKey = `${botId}:${payload.chatId}:album:${groupedId}:${payload.messageIds.join(',')}:${eventType}`;
+
+    enqueueSync({
+      botId,
+      botName,
+      botTokenPrefix,
+      type: eventType,
+      idempotencyKey,
+      payload
+    });
+  });
   
   return async (event) => {
+    let resolveAlbumPart = null;
+    let chatSlot = null;
+
     try {
       const message = event.message;
       if (!message) return;
@@ -691,6 +1824,21 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
       const chatId = extractChatId(message.peerId);
       if (!chatId) return;
 
+      // Place in the chat order, taken before the (slow) photo and media downloads
+      chatSlot = reserveChatSlot(botId, chatId);
+
+      // Register album parts on arrival; the album owns their chat slots
+      if (message.groupedId && !isEdit) {
+        const groupedId = bigIntToString(message.groupedId);
+        resolveAlbumPart = albumBuffer.add(`${chatId}:${groupedId}`, groupedId, chatSlot);
+        chatSlot = null;
+      }
+
+      // Channel deletions carry the channel id; everything else needs the local index
+      if (!message.peerId?.channelId) {
+        messageChatIndex.record(botId, bigIntToString(message.id), chatId);
+      }
+
       // Check if outgoing (bot's own message)
       const isOutgoing = message.out === true;
       const direction = isOutgoing ? 'outgoing' : 'incoming';
@@ -700,12 +1848,15 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
 
       // Check if message has media
       const hasMedia = !!(message.media || message.photo || message.document);
+      const content = getStructuredContent(message.media);
       
       // Log message
-      const previewText = (message.text || message.message || '').substring(0, 50) || '[sem texto]';
+      const previewText = (message.text || message.message || '').substring(0, 50) ||
+        (content ? `[${content.type}]` : '[sem texto]');
       const mediaIndicator = hasMedia ? ' 📷' : '';
+      const editIndicator = isEdit ? ' ✏️ EDITADA' : '';
       console.log(
-        `📨 [${botName}] ${direction.toUpperCase()}${mediaIndicator} | Chat: ${chatId} | ${senderInfo.firstName || 'Unknown'}: ${previewText}`
+        `📨 [${botName}] ${direction.toUpperCase()}${editIndicator}${mediaIndicator} | Chat: ${chatId} | ${senderInfo.firstName || 'Unknown'}: ${previewText}`
       );
 
       const sentAt = message.date
@@ -713,8 +1864,9 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
         : new Date().toISOString();
 
       // Try to get profile photo for incoming messages (with caching)
+      // Edits refer to a message already synced, so the photo is not fetched again
       let profilePhotoUrl = null;
-      if (!isOutgoing && !senderInfo.isBot) {
+      if (!isEdit && !isOutgoing && !senderInfo.isBot) {
         const cacheKey = chatId;
         const cachedPhoto = photoCache.get(cacheKey);
 
@@ -737,14 +1889,17 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
         }
       }
 
-      // Download message media if present
+      // Download message media if present (structured content has nothing to download)
       let mediaResult = null;
-      if (hasMedia) {
+      if (hasMedia && !content) {
         const clientInfo = telegramClients.get(botId);
         if (clientInfo && clientInfo.client.connected) {
           mediaResult = await downloadMessageMedia(clientInfo.client, message, botName, botId);
         }
       }
+      // Upload waiting for the Supabase circuit: the message goes out once it lands
+      const deferredMedia = mediaResult?.deferred || null;
+      if (deferredMedia) mediaResult = null;
 
       // Extract inline keyboard buttons if present
       let replyMarkup = null;
@@ -777,6 +1932,12 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
         chatId: String(chatId),
         messageId: String(bigIntToString(message.id)),
         text: message.text || message.message || '',
+        // Entity offsets (UTF-16) refer to the raw text, not to the formatted `text`
+        rawText: message.message || '',
+        entities: normalizeEntities(message.entities),
+        replyTo: extractReplyTo(message),
+        forwardFrom: extractForwardFrom(message),
+        viaBot: extractViaBot(message),
         isOutgoing,
         date: sentAt,
         sender: {
@@ -787,15 +1948,73 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
         },
         profilePhotoUrl,
         fileUniqueId: mediaResult?.fileUniqueId || null,
+        content,
         replyMarkup,
+        command: null,
+        firstContact: false,
+        // Missed while disconnected, fetched later via updates.getDifference
+        recovered: event.recovered === true,
       };
 
-      // Enqueue message for processing (with retry/backoff)
-      messageQueue.enqueue({
-        botName,
-        botTokenPrefix,
-        payload
-      });
+      if (!isOutgoing) {
+        const botUsername = telegramClients.get(botId)?.botUsername;
+        payload.command = parseBotCommand(message.message, botUsername);
+
+        // First message from this user seen by this bot (edits never count)
+        const senderId = message.senderId ? bigIntToString(message.senderId) : null;
+        if (!isEdit && senderId && !senderInfo.isBot) {
+          payload.firstContact = contactRegistry.markSeen(botId, senderId);
+        }
+      }
+
+      let idempotencyKey;
+      if (isEdit) {
+        payload.editDate = message.editDate
+          ? new Date(message.editDate * 1000).toISOString()
+          : new Date().toISOString();
+        // Every edit of the same message is a distinct event
+        idempotencyKey = `${botId}:${payload.chatId}:${payload.messageId}:${eventType}:${message.editDate || Date.now()}`;
+      }
+
+      const emit = (media, resolvePart, slot) => {
+        if (resolvePart) {
+          resolvePart({
+            payload,
+            mediaResult: media,
+            mediaType: media?.mediaType || getMediaInfo(message)?.type || null
+          });
+          return;
+        }
+
+        // Enqueue message for processing (with retry/backoff), in chat order
+        slot.emit(() => enqueueSync({
+          botId,
+          botName,
+          botTokenPrefix,
+          type: eventType,
+          idempotencyKey,
+          payload
+        }));
+      };
+
+      if (deferredMedia) {
+        // The album part (or the chat slot) stays open until the upload settles
+        const resolvePart = resolveAlbumPart;
+        const slot = chatSlot;
+        resolveAlbumPart = null;
+        chatSlot = null;
+        inFlight.track('media_upload', deferredMedia.then((media) => {
+          payload.fileUniqueId = media?.fileUniqueId || null;
+          emit(media, resolvePart, slot);
+        })).catch((error) => {
+          console.error(`[${botName}] Erro ao emitir mensagem com mídia adiada:`, error);
+          resolvePart?.(null);
+          slot?.release();
+        });
+        return;
+      }
+
+      emit(mediaResult, resolveAlbumPart, chatSlot);
       
     } catch (error) {
       // Don't log expected connection errors
@@ -804,15 +2023,429 @@ function createMessageHandler(botId, botName, botTokenPrefix) {
           !error.message?.includes('Not connected')) {
         console.error(`[${botName}] Erro ao processar mensagem:`, error);
       }
+    } finally {
+      // A failed message must not hold its album or chat (no-op if already settled)
+      resolveAlbumPart?.(null);
+      chatSlot?.release();
+    }
+  };
+}
+
+// Create deleted-message handler for a specific bot
+// Emits one 'message_deleted' event per chat; ids whose chat is unknown are grouped with chatId null
+function createDeleteHandler(botId, botName, botTokenPrefix) {
+  return async (event) => {
+    try {
+      const deletedIds = (event.deletedIds || []).map((id) => bigIntToString(id));
+      if (deletedIds.length === 0) return;
+
+      const channelId = event.peer?.channelId ? bigIntToString(event.peer.channelId) : null;
+      const byChat = new Map();
+
+      for (const messageId of deletedIds) {
+        const chatId = channelId || messageChatIndex.lookup(botId, messageId);
+        if (!byChat.has(chatId)) byChat.set(chatId, []);
+        byChat.get(chatId).push(messageId);
+        if (!channelId) messageChatIndex.forget(botId, messageId);
+      }
+
+      const deletedAt = new Date().toISOString();
+
+      for (const [chatId, messageIds] of byChat) {
+        console.log(
+          `🗑️ [${botName}] ${messageIds.length} mensagem(ns) apagada(s) | Chat: ${chatId || 'desconhecido'}`
+        );
+
+        enqueueSyncInOrder({
+          botId,
+          botName,
+          botTokenPrefix,
+          type: 'message_deleted',
+          idempotencyKey: `${botId}:${chatId || ''}:${messageIds.join(',')}:message_deleted`,
+          payload: {
+            chatId,
+            messageIds,
+            chatResolved: chatId !== null,
+            deletedAt,
+          },
+        });
+      }
+    } catch (error) {
+      console.error(`[${botName}] Erro ao processar exclusão:`, error);
+    }
+  };
+}
+
+// Create callback query handler for a specific bot (inline button taps)
+// The backend answers through POST /answer-callback/:botId using the queryId
+function createCallbackQueryHandler(botId, botName, botTokenPrefix) {
+  return async (event) => {
+    try {
+      const query = event.query;
+      if (!query) return;
+
+      const queryId = bigIntToString(query.queryId);
+      const chatId = event.chatId ? bigIntToString(event.chatId) : null;
+      const sender = event.sender || query._sender || null;
+      const data = query.data
+        ? Buffer.isBuffer(query.data)
+          ? query.data.toString('utf-8')
+          : String(query.data)
+        : null;
+
+      console.log(
+        `🔘 [${botName}] Callback | Chat: ${chatId || 'inline'} | ${sender?.firstName || 'Unknown'}: ${data ?? query.gameShortName ?? '[sem dados]'}`
+      );
+
+      enqueueSyncInOrder({
+        botId,
+        botName,
+        botTokenPrefix,
+        type: 'callback_query',
+        idempotencyKey: `${botId}:${chatId || ''}:${queryId}:callback_query`,
+        payload: {
+          queryId,
+          chatId,
+          messageId: event.messageId ? String(event.messageId) : null,
+          inlineMessageId: event.viaInline ? bigIntToString(query.msgId?.id) : null,
+          data,
+          gameShortName: query.gameShortName || null,
+          chatInstance: bigIntToString(query.chatInstance),
+          user: {
+            id: bigIntToString(query.userId),
+            firstName: sender?.firstName || null,
+            lastName: sender?.lastName || null,
+            username: sender?.username || null,
+          },
+          date: new Date().toISOString(),
+        },
+      }, extractChatId(query.peer));
+    } catch (error) {
+      console.error(`[${botName}] Erro ao processar callback:`, error);
+    }
+  };
+}
+
+// ============= SUBSCRIBER STATUS =============
+
+// Helper: Errors Telegram returns when the user blocked the bot
+function isBlockedByUserError(error) {
+  const message = error?.errorMessage || error?.message || '';
+  return message.includes('USER_IS_BLOCKED');
+}
+
+// Sync a blocked/unblocked status for a user of a bot
+// source: 'update' (UpdateBotStopped) or 'send_error' (send failed with USER_IS_BLOCKED)
+function recordSubscriberStatus(botId, userId, status, source, date = new Date()) {
+  const clientInfo = telegramClients.get(botId);
+  if (!clientInfo) return;
+
+  // Only changes are events: every failed send to a blocked user would repeat 'blocked'
+  const statusKey = `${botId}:${userId}`;
+  const previous = subscriberStatuses.get(statusKey);
+  if (previous?.status === status) return;
+
+  const timestamp = date.toISOString();
+  subscriberStatuses.set(statusKey, { status, date: timestamp });
+  console.log(`${status === 'blocked' ? '⛔' : '✅'} [${clientInfo.botName}] Usuário ${userId} ${status === 'blocked' ? 'bloqueou' : 'desbloqueou'} o bot (${source})`);
+
+  enqueueSync({
+    botId,
+    botName: clientInfo.botName,
+    botTokenPrefix: clientInfo.botTokenPrefix,
+    type: 'subscriber_status',
+    idempotencyKey: `${botId}:${userId}:${status}:${previous?.date || 'unknown'}:subscriber_status`,
+    payload: {
+      // Private chat id is the user id
+      chatId: String(userId),
+      userId: String(userId),
+      status,
+      previousStatus: previous?.status || null,
+      source,
+      date: timestamp,
+    },
+  });
+}
+
+// Create handler for UpdateBotStopped (user blocked or restarted the bot)
+function createBotStoppedHandler(botId, botName) {
+  return async (update) => {
+    try {
+      if (!(update instanceof Api.UpdateBotStopped)) return;
+
+      const stopped = update.stopped === true || update.stopped?.className === 'BoolTrue';
+      recordSubscriberStatus(
+        botId,
+        bigIntToString(update.userId),
+        stopped ? 'blocked' : 'unblocked',
+        'update',
+        update.date ? new Date(update.date * 1000) : new Date()
+      );
+    } catch (error) {
+      console.error(`[${botName}] Erro ao processar bloqueio:`, error);
+    }
+  };
+}
+
+// ============= UPDATE CATCH-UP =============
+
+// Helper: Plain { pts, qts, date, seq } from an updates.State
+function toUpdateState(state) {
+  return { pts: state.pts, qts: state.qts, date: state.date, seq: state.seq };
+}
+
+// Raw handler: remember the latest common pts/qts, and catch up when gramjs reconnects by itself
+// Channel updates carry a per-channel pts and are not part of the common state
+function createUpdateStateTracker(botId) {
+  return async (update) => {
+    if (update instanceof UpdateConnectionState) {
+      if (update.state === UpdateConnectionState.connected) {
+        catchUpBot(botId);
+      }
+      return;
+    }
+
+    const state = {};
+    if (typeof update.qts === 'number') state.qts = update.qts;
+    if (typeof update.pts === 'number' && !String(update.className).includes('Channel')) {
+      state.pts = update.pts;
+    }
+    if (state.pts || state.qts) {
+      updateStateStore.update(botId, state);
+    }
+  };
+}
+
+// Feed the messages and updates of a difference through the bot's normal handlers
+async function replayDifference(client, handlers, difference) {
+  client._entityCache.add(difference);
+  client.session.processEntities(difference);
+
+  const entities = new Map();
+  for (const entity of [...difference.users, ...difference.chats]) {
+    entities.set(utils.getPeerId(entity), entity);
+  }
+
+  let recovered = 0;
+  for (const message of difference.newMessages) {
+    // Service messages (joins, pins...) are not synced live either
+    if (!(message instanceof Api.Message)) continue;
+    message._finishInit(client, entities, undefined);
+    await handlers.message({ message, recovered: true });
+    recovered++;
+  }
+
+  for (const update of difference.otherUpdates) {
+    if (update instanceof Api.UpdateEditMessage && update.message instanceof Api.Message) {
+      update.message._finishInit(client, entities, undefined);
+      await handlers.edited({ message: update.message, recovered: true });
+    } else if (update instanceof Api.UpdateDeleteMessages) {
+      await handlers.deleted({ deletedIds: update.messages, peer: null });
+    } else if (update instanceof Api.UpdateBotStopped) {
+      await handlers.botStopped(update);
+    }
+  }
+
+  return recovered;
+}
+
+// Fetch what the bot missed since `fromState` (default: last saved state) with updates.getDifference.
+// Without any saved state there is nothing to compare against, so the current state becomes the baseline.
+async function catchUpBot(botId, fromState = updateStateStore.get(botId)) {
+  const clientInfo = telegramClients.get(botId);
+  if (!clientInfo || catchUpsInProgress.has(botId) || shutdownStartedAt) return;
+
+  const { client, botName, handlers } = clientInfo;
+  catchUpsInProgress.add(botId);
+
+  try {
+    if (!fromState?.pts) {
+      const current = await client.invoke(new Api.updates.GetState());
+      updateStateStore.update(botId, toUpdateState(current));
+      return;
+    }
+
+    // Kept locally: live updates may move the saved pts past the gap while it is being fetched
+    let state = fromState;
+    let recovered = 0;
+
+    // On shutdown the rest is left for the next boot (state is saved per slice)
+    while (!shutdownStartedAt) {
+      const difference = await client.invoke(new Api.updates.GetDifference({
+        pts: state.pts,
+        qts: state.qts,
+        date: state.date
+      }));
+
+      if (difference instanceof Api.updates.DifferenceEmpty) {
+        updateStateStore.update(botId, { date: difference.date, seq: difference.seq });
+        break;
+      }
+
+      if (difference instanceof Api.updates.DifferenceTooLong) {
+        // Gap too large for Telegram to replay: messages in it are lost, resume from the new pts
+        console.warn(`⚠️ [${botName}] Intervalo longo demais para recuperar, continuando do pts ${difference.pts}`);
+        state = { ...state, pts: difference.pts };
+        updateStateStore.update(botId, { pts: difference.pts });
+        continue;
+      }
+
+      recovered += await replayDifference(client, handlers, difference);
+
+      const isSlice = difference instanceof Api.updates.DifferenceSlice;
+      state = toUpdateState(isSlice ? difference.intermediateState : difference.state);
+      updateStateStore.update(botId, state);
+      if (!isSlice) break;
+    }
+
+    if (recovered > 0) {
+      console.log(`🔁 [${botName}] ${recovered} mensagens recuperadas após desconexão`);
+    }
+  } catch (error) {
+    handleFloodWait(botId, botName, error);
+    console.error(`❌ [${botName}] Erro ao recuperar updates:`, error.message);
+  } finally {
+    catchUpsInProgress.delete(botId);
+  }
+}
+
+// ============= BOT HEALTH =============
+
+// Every transition is logged and synced as a 'bot_status' event (all sinks accepting that type)
+botHealth.onTransition((transition) => {
+  const detail = transition.reason ? ` (${transition.reason})` : '';
+  console.log(`🩺 [${transition.botName || transition.botId}] ${transition.previousState || 'novo'} → ${transition.state}${detail}`);
+
+  enqueueSync({
+    botId: transition.botId,
+    botName: transition.botName,
+    type: 'bot_status',
+    idempotencyKey: `${transition.botId}:bot_status:${transition.state}:${transition.since}`,
+    payload: transition
+  });
+});
+
+function setBotHealth(botId, botName, state, reason = null, error = null) {
+  return botHealth.transition(botId, state, { botName, reason, error: error?.message ?? error });
+}
+
+// Record a Telegram error that proves the bot banned or unauthorized; returns that state or null
+function noteBotError(botId, botName, error) {
+  const state = classifyTelegramError(error);
+  if (state) setBotHealth(botId, botName, state, 'telegram_error', error);
+  return state;
+}
+
+// Raw handler for gramjs connection changes (its own reconnects included)
+function createConnectionStateHandler(botId, botName) {
+  return async (update) => {
+    // Intentional disconnects are reported as 'stopped' by disconnectBot
+    if (telegramClients.get(botId)?.stopping) return;
+
+    if (update.state === UpdateConnectionState.connected) {
+      setBotHealth(botId, botName, 'healthy', 'connection_restored');
+    } else {
+      setBotHealth(botId, botName, 'degraded', 'connection_lost');
     }
   };
 }
 
+// ============= FLOOD WAIT =============
+
+// Put the bot in cooldown when the error is a FLOOD_WAIT; returns { seconds, reason } or null
+function handleFloodWait(botId, botName, error) {
+  const flood = parseFloodWait(error);
+  if (!flood) return null;
+
+  // Slow mode only limits one chat, the bot can keep sending elsewhere
+  if (flood.reason !== 'SLOWMODE_WAIT') {
+    floodCooldowns.set(botId, flood.seconds, flood.reason);
+    console.warn(`⏳ [${botName}] ${flood.reason}: em cooldown por ${flood.seconds}s`);
+  }
+  return flood;
+}
+
+// Helper: 429 response with the wait in the body and the Retry-After header
+function sendFloodWaitResponse(res, retryAfter, reason) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `${reason}: aguarde ${retryAfter}s`, reason, retryAfter });
+}
+
+// Reject the request up front if the bot is cooling down; returns true when answered
+function rejectIfCoolingDown(botId, res) {
+  const cooldown = floodCooldowns.get(botId);
+  if (!cooldown) return false;
+  sendFloodWaitResponse(res, cooldown.retryAfter, cooldown.reason);
+  return true;
+}
+
+// Try connecting again once the bot's cooldown expires (one pending retry per bot)
+function scheduleConnectRetry(bot) {
+  const botId = String(bot.id);
+  const cooldown = floodCooldowns.get(botId);
+  if (!cooldown || connectRetryTimers.has(botId)) return;
+
+  console.log(`⏳ [${bot.nome}] Nova tentativa de conexão em ${cooldown.retryAfter}s`);
+  connectRetryTimers.set(botId, setTimeout(() => {
+    connectRetryTimers.delete(botId);
+    connectBot(bot);
+  }, cooldown.retryAfter * 1000 + 1000));
+}
+
+function cancelConnectRetry(botId) {
+  clearTimeout(connectRetryTimers.get(botId));
+  connectRetryTimers.delete(botId);
+}
+
+// Wrap an update handler: tracked while running, and ignored once shutdown starts.
+// Ignored updates don't move the saved pts either, so the next boot catches them up.
+function whileRunning(handler) {
+  return (event) => {
+    if (shutdownStartedAt) return undefined;
+    return inFlight.track('update', handler(event));
+  };
+}
+
+// ============= SESSION PERSISTENCE =============
+
+// Saved session string for a bot, or null (no store, not found, token changed, unreadable)
+async function loadBotSession(botId, botName, tokenHash) {
+  if (!sessionStore) return null;
+
+  try {
+    const saved = await sessionStore.get(botId);
+    if (!saved) return null;
+
+    if (saved.tokenHash !== tokenHash) {
+      console.log(`🔑 [${botName}] Token alterado, descartando sessão salva`);
+      await sessionStore.delete(botId);
+      return null;
+    }
+
+    return saved.session;
+  } catch (error) {
+    console.warn(`⚠️ [${botName}] Erro ao ler sessão salva:`, error.message);
+    return null;
+  }
+}
+
+async function saveBotSession(botId, botName, record) {
+  if (!sessionStore) return;
+
+  try {
+    await sessionStore.save(botId, record);
+  } catch (error) {
+    console.warn(`⚠️ [${botName}] Erro ao salvar sessão:`, error.message);
+  }
+}
+
 // ============= BOT CONNECTION MANAGEMENT =============
 
 // Connect a specific bot with enhanced reconnection handling
 async function connectBot(bot) {
-  const { id: botId, nome: botName, api_token: botToken } = bot;
+  const { nome: botName, api_token: botToken } = bot;
+  // Map keys are compared with route params and reconciliation ids, always as strings
+  const botId = String(bot.id);
 
   if (!botToken) {
     console.log(`⚠️ [${botName}] Sem token configurado, pulando...`);
@@ -828,14 +2461,29 @@ async function connectBot(bot) {
     }
     // Client exists but disconnected, remove and reconnect
     console.log(`🔄 [${botName}] Reconectando cliente desconectado...`);
-    await disconnectBot(botId);
+    await disconnectBot(botId, 'reconnecting');
+  }
+
+  // Logging in during a FLOOD_WAIT only extends it
+  if (floodCooldowns.get(botId)) {
+    console.log(`⏳ [${botName}] Em cooldown de FLOOD_WAIT, conexão adiada`);
+    setBotHealth(botId, botName, 'degraded', 'flood_wait');
+    scheduleConnectRetry(bot);
+    return false;
   }
 
+  let client = null;
   try {
     console.log(`🔄 [${botName}] Conectando...`);
+    setBotHealth(botId, botName, 'connecting');
 
-    const client = new TelegramClient(
-      new StringSession(''),
+    const tokenHash = hashToken(botToken);
+    const savedSession = await loadBotSession(botId, botName, tokenHash);
+    // Taken before any live update can move it forward
+    const savedUpdateState = updateStateStore.get(botId);
+
+    client = new TelegramClient(
+      new StringSession(savedSession || ''),
       API_ID,
       API_HASH,
       {
@@ -851,20 +2499,50 @@ async function connectBot(bot) {
     // Add connection error handler
     client.setLogLevel('warn'); // Reduce verbose logging
 
+    // Reuses the saved session when it is still authorized, otherwise logs in with the token
     await client.start({
       botAuthToken: botToken,
     });
 
+    const session = client.session.save();
+    if (session && session !== savedSession) {
+      if (savedSession) {
+        console.log(`🔑 [${botName}] Sessão salva inválida, login feito com o token`);
+      }
+      await saveBotSession(botId, botName, { session, tokenHash });
+    } else if (savedSession) {
+      console.log(`🔑 [${botName}] Sessão salva reutilizada`);
+    }
+
     // Get bot info
     const me = await client.getMe();
     console.log(`✅ [${botName}] Conectado como @${me.username}`);
 
     const botTokenPrefix = String(botToken).split(':')[0];
 
-    // Add message handler
+    // Add message handlers (new and edited messages share the same pipeline)
+    // Kept on the client info so the catch-up can replay missed updates through them
+    const handlers = {
+      message: createMessageHandler(botId, botName, botTokenPrefix),
+      edited: createMessageHandler(botId, botName, botTokenPrefix, 'message_edited'),
+      deleted: createDeleteHandler(botId, botName, botTokenPrefix),
+      botStopped: createBotStoppedHandler(botId, botName),
+    };
+    client.addEventHandler(whileRunning(handlers.message), new NewMessage({}));
+    client.addEventHandler(whileRunning(handlers.edited), new EditedMessage({}));
+    client.addEventHandler(whileRunning(handlers.deleted), new DeletedMessage({}));
+    client.addEventHandler(
+      whileRunning(createCallbackQueryHandler(botId, botName, botTokenPrefix)),
+      new CallbackQuery({})
+    );
+    client.addEventHandler(
+      whileRunning(handlers.botStopped),
+      new Raw({ types: [Api.UpdateBotStopped] })
+    );
+    client.addEventHandler(whileRunning(createUpdateStateTracker(botId)), new Raw({}));
     client.addEventHandler(
-      createMessageHandler(botId, botName, botTokenPrefix),
-      new NewMessage({})
+      whileRunning(createConnectionStateHandler(botId, botName)),
+      new Raw({ types: [UpdateConnectionState] })
     );
 
     // Store client
@@ -873,21 +2551,53 @@ async function connectBot(bot) {
       botName, 
       botUsername: me.username,
       botToken: botToken,
+      botTokenPrefix,
+      handlers,
       connectedAt: new Date().toISOString()
     });
 
+    setBotHealth(botId, botName, 'healthy', 'connected');
+
+    // Whatever arrived while this bot was offline (restart, deploy, crash)
+    catchUpBot(botId, savedUpdateState);
+
     return true;
 
   } catch (error) {
     console.error(`❌ [${botName}] Erro ao conectar:`, error.message);
+    // A client that never got stored would keep its socket and reconnect timers alive
+    if (client && telegramClients.get(botId)?.client !== client) {
+      await client.destroy().catch(() => {});
+    }
+    if (handleFloodWait(botId, botName, error)) {
+      setBotHealth(botId, botName, 'degraded', 'flood_wait', error);
+      scheduleConnectRetry(bot);
+    } else {
+      const errorState = noteBotError(botId, botName, error);
+      if (errorState) {
+        // Retrying the same token only repeats the failed login
+        heldBots.set(botId, { reason: errorState, token: botToken });
+      } else {
+        setBotHealth(botId, botName, 'degraded', 'connect_failed', error);
+      }
+    }
     return false;
   }
 }
 
-// Disconnect a bot
-async function disconnectBot(botId) {
+// Disconnects followed right away by a new connect
+const RESTART_REASONS = ['reconnecting', 'token_changed'];
+
+// Disconnect a bot (reason is reported with the 'stopped' transition)
+async function disconnectBot(botId, reason = 'disconnected') {
+  cancelConnectRetry(botId);
   const clientInfo = telegramClients.get(botId);
+  // A restart goes straight to 'connecting', without a false 'stopped' alert
+  if (botHealth.get(botId) && !RESTART_REASONS.includes(reason)) {
+    setBotHealth(botId, clientInfo?.botName, 'stopped', reason);
+  }
   if (clientInfo) {
+    clientInfo.stopping = true;
     try {
       await clientInfo.client.disconnect();
       telegramClients.delete(botId);
@@ -902,19 +2612,24 @@ async function disconnectBot(botId) {
 // Periodic health check and reconnection
 async function healthCheckAndReconnect() {
   for (const [botId, clientInfo] of telegramClients) {
-    if (!clientInfo.client.connected) {
+    if (!clientInfo.client.connected && !floodCooldowns.get(botId)) {
       console.log(`🔄 [${clientInfo.botName}] Detectado desconectado, tentando reconectar...`);
+      setBotHealth(botId, clientInfo.botName, 'degraded', 'connection_lost');
       
       // Try to reconnect using stored token
       try {
+        const fromState = updateStateStore.get(botId);
         await clientInfo.client.connect();
         console.log(`✅ [${clientInfo.botName}] Reconectado com sucesso`);
+        setBotHealth(botId, clientInfo.botName, 'healthy', 'reconnected');
+        catchUpBot(botId, fromState);
       } catch (error) {
         console.error(`❌ [${clientInfo.botName}] Falha ao reconectar:`, error.message);
+        noteBotError(botId, clientInfo.botName, error);
         
-        // If reconnect fails, try full reconnection
+        // If reconnect fails, try full reconnection (the old client is stopped first)
         if (clientInfo.botToken) {
-          telegramClients.delete(botId);
+          await disconnectBot(botId, 'reconnecting');
           await connectBot({
             id: botId,
             nome: clientInfo.botName,
@@ -927,46 +2642,328 @@ async function healthCheckAndReconnect() {
 }
 
 // Start periodic health check (every 30 seconds)
-setInterval(healthCheckAndReconnect, 30000);
+backgroundTimers.add(setInterval(healthCheckAndReconnect, 30000));
 
 // ============= LOAD BOTS =============
 
+// Fetch the active bots (with token) from the Edge Function; throws on failure
+async function fetchActiveBots() {
+  const response = await fetchWithRetry(`${SUPABASE_URL}/functions/v1/telegram-bots-list`, {
+    method: 'POST',
+    headers: getBackendHeaders()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Erro ao buscar bots: ${response.status} ${errorText}`);
+  }
+
+  const { bots } = await response.json();
+  if (!Array.isArray(bots)) {
+    throw new Error('Erro ao buscar bots: resposta sem lista de bots');
+  }
+  return bots.filter(bot => bot.api_token && bot.ativo !== false);
+}
+
 // Load and connect all bots via Edge Function
 async function loadAndConnectBots() {
   console.log('📋 Carregando bots via Edge Function...');
 
   try {
-    const response = await fetchWithRetry(`${SUPABASE_URL}/functions/v1/telegram-bots-list`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': SUPABASE_ANON_KEY,
-        'x-sync-secret': TELEGRAM_SYNC_SECRET
-      }
-    });
+    const allBots = await fetchActiveBots();
+    console.log(`📊 Encontrados ${allBots.length} bots ativos com token`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Erro ao buscar bots:', response.status, errorText);
-      return;
+    const bots = await selectOwnedBots(allBots);
+    if (shardCoordinator) {
+      console.log(`🧩 ${bots.length}/${allBots.length} bots atribuídos a esta instância`);
     }
 
-    const { bots } = await response.json();
-    console.log(`📊 Encontrados ${bots.length} bots ativos com token`);
-
-    // Connect each bot with small delay between to avoid rate limiting
+    // Connect each bot with small delay between to avoid rate limiting.
+    // The shard heartbeat keeps renewing leases meanwhile; bots lost during the boot are skipped
+    bootConnecting = true;
     let connectedCount = 0;
     for (const bot of bots) {
+      if (shardCoordinator && !shardCoordinator.owns(bot.id)) continue;
       const success = await connectBot(bot);
       if (success) connectedCount++;
-      // Small delay between bot connections
-      await sleep(500);
+      // Small delay between bot connections (bots hitting FLOOD_WAIT retry on their own)
+      await sleep(BOT_CONNECT_DELAY_MS);
     }
 
     console.log(`\n🚀 ${connectedCount}/${bots.length} bots conectados via MTProto`);
 
   } catch (error) {
     console.error('Erro ao carregar bots:', error.message);
+  } finally {
+    bootConnecting = false;
+  }
+}
+
+// ============= SHARDING =============
+
+// Latest bot list from the registry, re-applied on every shard heartbeat
+let latestBotList = null;
+// While the boot connects bots one by one, heartbeats only renew leases
+let bootConnecting = false;
+
+// Bots this instance should run: those it holds a lease for (every bot without sharding)
+async function selectOwnedBots(bots) {
+  latestBotList = bots;
+  if (!shardCoordinator) return bots;
+
+  const owned = await shardCoordinator.assign(bots);
+  return bots.filter(bot => owned.has(String(bot.id)));
+}
+
+let shardHeartbeatRunning = false;
+
+// Renew leases, take over bots of dead instances and connect/disconnect accordingly.
+// Only newly acquired bots are connected; owned bots that are down are left to the
+// health check and the registry sync. A tick is skipped while the previous one runs.
+async function shardHeartbeat() {
+  if (!latestBotList || shutdownStartedAt || shardHeartbeatRunning) return;
+  shardHeartbeatRunning = true;
+
+  try {
+    const ownedBefore = new Set(shardCoordinator.owned);
+    const bots = await selectOwnedBots(latestBotList);
+    if (bootConnecting) return;
+
+    const acquired = new Set(bots.map(bot => String(bot.id)).filter(id => !ownedBefore.has(id)));
+    const results = await reconcileBots(bots, { automatic: true, connectIds: acquired });
+    if (results.some(({ result }) => result !== 'unchanged')) {
+      console.log(`🧩 Rebalanceamento de bots: ${JSON.stringify(summarizeReconcile(results))}`);
+    }
+  } finally {
+    shardHeartbeatRunning = false;
+  }
+}
+
+function startShardHeartbeat() {
+  if (!shardCoordinator) return;
+  backgroundTimers.add(setInterval(() => {
+    shardHeartbeat().catch(error => console.error('⚠️ Erro no heartbeat de sharding:', error.message));
+  }, SHARDING_CONFIG.heartbeatMs));
+}
+
+// ============= RECONCILIATION =============
+
+const RECONCILE_ACTIONS = ['full_reload', 'add', 'remove', 'token_changed'];
+
+// Reconciliations run one at a time (reload requests may overlap)
+let reconcileChain = Promise.resolve();
+
+// Result of connectBot as a report entry
+async function connectForReport(bot) {
+  const success = await connectBot(bot);
+  if (success) return 'connected';
+  return floodCooldowns.get(String(bot.id)) ? 'cooldown' : 'failed';
+}
+
+// Disconnect and connect again with the new token
+async function restartBot(bot) {
+  const botId = String(bot.id);
+  const previous = telegramClients.get(botId);
+
+  // A token with another prefix belongs to another Telegram bot: its update state does not apply
+  if (previous && previous.botTokenPrefix !== String(bot.api_token).split(':')[0]) {
+    updateStateStore.delete(botId);
+  }
+
+  await disconnectBot(botId, 'token_changed');
+  const result = await connectForReport(bot);
+  return result === 'connected' ? 'restarted' : result;
+}
+
+// Whether an automatic run must leave this bot alone (held with the same token)
+function isHeld(botId, bot) {
+  const hold = heldBots.get(botId);
+  if (!hold) return false;
+  if (hold.token !== null && hold.token !== bot.api_token) {
+    heldBots.delete(botId);
+    return false;
+  }
+  return true;
+}
+
+// Bring telegramClients in line with the active bot list.
+// Full: connect new bots, restart bots whose token changed, disconnect bots no longer listed.
+// Single bot (action + botId): only that bot is touched.
+// automatic (registry sync, shard heartbeat): held bots are not connected, and with
+// connectIds only those bots may be connected (others that are down are left as they are).
+// Returns [{ botId, botName, result }] with result in
+// connected | restarted | unchanged | disconnected | not_connected | not_found | cooldown | failed | held
+function reconcileBots(bots, { action = 'full_reload', botId = null, automatic = false, connectIds = null } = {}) {
+  const run = reconcileChain.then(() => doReconcileBots(bots, { action, botId, automatic, connectIds }));
+  reconcileChain = run.catch(() => {});
+  return run;
+}
+
+async function doReconcileBots(bots, { action, botId, automatic, connectIds }) {
+  const desired = new Map(bots.map(bot => [String(bot.id), bot]));
+  const results = [];
+  const report = (id, botName, result) => results.push({ botId: id, botName: botName || null, result });
+
+  // Explicit requests (/reload-bots) clear the holds of the bots they touch
+  if (!automatic) {
+    for (const id of action === 'full_reload' ? desired.keys() : [String(botId)]) {
+      heldBots.delete(id);
+    }
+  }
+
+  if (action !== 'full_reload') {
+    const id = String(botId);
+    const bot = desired.get(id);
+    const current = telegramClients.get(id);
+
+    if (action === 'remove' || (action === 'token_changed' && !bot)) {
+      const wasKnown = !!current || connectRetryTimers.has(id);
+      await disconnectBot(id, 'removed');
+      report(id, current?.botName || bot?.nome, wasKnown ? 'disconnected' : 'not_connected');
+    } else if (!bot) {
+      report(id, null, 'not_found');
+    } else if (action === 'token_changed' || (current && current.botToken !== bot.api_token)) {
+      report(id, bot.nome, current ? await restartBot(bot) : await connectForReport(bot));
+    } else if (current?.client.connected) {
+      report(id, bot.nome, 'unchanged');
+    } else {
+      report(id, bot.nome, await connectForReport(bot));
+    }
+
+    return results;
+  }
+
+  // Removed or deactivated (also drops pending connect retries)
+  const knownIds = new Set([...telegramClients.keys(), ...connectRetryTimers.keys()]);
+  for (const id of knownIds) {
+    if (desired.has(String(id))) continue;
+    const botName = telegramClients.get(id)?.botName;
+    await disconnectBot(id, 'removed');
+    report(id, botName, 'disconnected');
+  }
+  for (const id of heldBots.keys()) {
+    if (!desired.has(id)) heldBots.delete(id);
+  }
+
+  for (const [id, bot] of desired) {
+    const current = telegramClients.get(id);
+
+    if (current && current.botToken !== bot.api_token) {
+      heldBots.delete(id);
+      report(id, bot.nome, await restartBot(bot));
+    } else if (current?.client.connected) {
+      report(id, bot.nome, 'unchanged');
+      continue;
+    } else if (connectIds && !connectIds.has(id)) {
+      // Down but not newly acquired: left to the health check and the registry sync
+      continue;
+    } else if (automatic && isHeld(id, bot)) {
+      report(id, bot.nome, 'held');
+      continue;
+    } else {
+      report(id, bot.nome, await connectForReport(bot));
+    }
+
+    // Small delay between logins, only when something was (re)connected
+    await sleep(BOT_CONNECT_DELAY_MS);
+  }
+
+  return results;
+}
+
+// Helper: Count report entries by result
+function summarizeReconcile(results) {
+  const summary = {};
+  for (const { result } of results) {
+    summary[result] = (summary[result] || 0) + 1;
+  }
+  return summary;
+}
+
+// ============= BOT REGISTRY SYNC =============
+
+let registrySyncRunning = false;
+// Source of a trigger that arrived during a sync; it runs once more right after
+let registrySyncRerun = null;
+let registryChannel = null;
+
+// Fetch the bot list and reconcile; a failed fetch changes nothing
+async function syncBotRegistry(source) {
+  if (shutdownStartedAt) return null;
+  if (registrySyncRunning) {
+    registrySyncRerun = source;
+    return null;
+  }
+  registrySyncRunning = true;
+
+  try {
+    const allBots = await fetchActiveBots();
+    if (allBots.length === 0 && telegramClients.size > 0 && !BOT_REGISTRY_CONFIG.allowEmpty) {
+      console.warn(`⚠️ Registro de bots (${source}) veio vazio, mantendo os bots conectados (BOT_REGISTRY_ALLOW_EMPTY=true para aplicar)`);
+      return null;
+    }
+
+    const bots = await selectOwnedBots(allBots);
+    const results = await reconcileBots(bots, { automatic: true });
+
+    if (results.some(({ result }) => result !== 'unchanged')) {
+      console.log(`🔄 Registro de bots (${source}): ${JSON.stringify(summarizeReconcile(results))}`);
+    }
+    return results;
+  } catch (error) {
+    console.error(`⚠️ Erro ao sincronizar registro de bots (${source}):`, error.message);
+    return null;
+  } finally {
+    registrySyncRunning = false;
+    if (registrySyncRerun) {
+      const rerunSource = registrySyncRerun;
+      registrySyncRerun = null;
+      syncBotRegistry(rerunSource);
+    }
+  }
+}
+
+// Any change in the bots table schedules one debounced reconciliation
+function subscribeBotRegistry() {
+  if (!supabaseAdmin) {
+    console.log('ℹ️ Realtime de bots desativado (sem SUPABASE_SERVICE_ROLE_KEY), usando só polling');
+    return null;
+  }
+
+  let debounceTimer = null;
+
+  try {
+    return supabaseAdmin
+      .channel('mtproto-bot-registry')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: BOT_REGISTRY_CONFIG.realtimeTable },
+        () => {
+          clearTimeout(debounceTimer);
+          debounceTimer = setTimeout(() => syncBotRegistry('realtime'), BOT_REGISTRY_CONFIG.realtimeDebounceMs);
+        }
+      )
+      .subscribe((status, error) => {
+        if (status === 'SUBSCRIBED') {
+          console.log(`📡 Realtime de bots ativo (${BOT_REGISTRY_CONFIG.realtimeTable})`);
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn(`⚠️ Realtime de bots: ${status}`, error?.message || '');
+        }
+      });
+  } catch (error) {
+    // e.g. no WebSocket implementation in this Node version
+    console.warn('⚠️ Realtime de bots indisponível, usando só polling:', error.message);
+    return null;
+  }
+}
+
+function startBotRegistrySync() {
+  if (BOT_REGISTRY_CONFIG.pollIntervalMs > 0) {
+    backgroundTimers.add(setInterval(() => syncBotRegistry('poll'), BOT_REGISTRY_CONFIG.pollIntervalMs));
+    console.log(`⏱️ Registro de bots verificado a cada ${Math.round(BOT_REGISTRY_CONFIG.pollIntervalMs / 1000)}s`);
+  }
+  if (BOT_REGISTRY_CONFIG.realtime) {
+    registryChannel = subscribeBotRegistry();
   }
 }
 
@@ -977,50 +2974,228 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     connectedBots: telegramClients.size,
-    queue: messageQueue.getStats(),
+    // Backend availability, separate from bot state: "Supabase down" vs "bot down"
+    supabase: supabaseBreaker.getState(),
+    queue: getQueueStats(),
     bots: Array.from(telegramClients.entries()).map(([id, info]) => ({
       id,
       name: info.botName,
       username: info.botUsername,
       connected: info.client.connected,
-      connectedAt: info.connectedAt
+      connectedAt: info.connectedAt,
+      cooldown: floodCooldowns.get(id),
+      health: botHealth.get(id)?.state ?? null,
+      owner: shardCoordinator ? shardCoordinator.ownerOf(id) : null
     })),
+    // State and last transition of every known bot, stopped/banned ones included
+    health: botHealth.list(),
+    // Which instance holds which bot (null without sharding)
+    sharding: shardCoordinator ? shardCoordinator.getState() : null,
+    // Includes bots still waiting to connect
+    cooldowns: floodCooldowns.list(),
     timestamp: new Date().toISOString()
   });
 });
 
 // Queue stats endpoint
 app.get('/queue-stats', (req, res) => {
-  res.json(messageQueue.getStats());
+  res.json(getQueueStats());
 });
 
-// Reload all bots (called by Lovable when a new token is added)
-app.post('/reload-bots', async (req, res) => {
-  const syncSecret = req.headers['x-sync-secret'];
-  
-  if (syncSecret !== TELEGRAM_SYNC_SECRET) {
-    console.log('⚠️ Tentativa de reload sem autenticação válida');
+// ============= DEAD-LETTER ENDPOINTS =============
+
+// Require the shared sync secret (same header the backend already sends)
+function requireSyncSecret(req, res, next) {
+  // Without a configured secret a missing header would match (undefined === undefined)
+  if (!TELEGRAM_SYNC_SECRET) {
+    return res.status(503).json({ error: 'TELEGRAM_SYNC_SECRET não configurado no servidor' });
+  }
+  if (req.headers['x-sync-secret'] !== TELEGRAM_SYNC_SECRET) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  next();
+}
 
-  const { action, botId } = req.body || {};
-  console.log(`🔄 Reload request - Action: ${action || 'full_reload'}, Bot ID: ${botId || 'all'}`);
-  
-  // Disconnect all existing bots
-  console.log('🔌 Desconectando bots existentes...');
-  for (const [id] of telegramClients) {
-    await disconnectBot(id);
+// Helper: Read a dead-letter filter from query string or body
+function getDeadLetterFilter(source = {}) {
+  return {
+    botId: source.botId,
+    botName: source.botName,
+    chatId: source.chatId,
+    status: source.status,
+    sink: source.sink
+  };
+}
+
+// Helper: Summary without the (possibly large) payload
+function summarizeDeadLetter(entry) {
+  return {
+    id: entry.id,
+    botId: entry.botId,
+    botName: entry.botName,
+    sink: entry.sink || 'supabase',
+    chatId: entry.payload?.chatId ?? null,
+    messageId: entry.payload?.messageId ?? null,
+    lastStatus: entry.lastStatus,
+    lastError: entry.lastError,
+    attempts: entry.attempts,
+    deadAt: entry.deadAt
+  };
+}
+
+// Helper: Resolve the entries targeted by a replay/purge request
+// Requires explicit ids, a filter, or { all: true } so an empty body never hits everything
+function selectDeadLetters(body = {}) {
+  if (Array.isArray(body.ids)) {
+    return body.ids.map(id => deadLetterStore.get(id)).filter(Boolean);
   }
 
-  // Reconnect all bots (fetches fresh list from database)
-  await loadAndConnectBots();
+  const filter = getDeadLetterFilter(body);
+  const hasFilter = Object.values(filter).some(v => v !== undefined && v !== null && v !== '');
+  if (!hasFilter && body.all !== true) return null;
+
+  return deadLetterStore.list(filter);
+}
+
+// Helper: Put a dead letter back on the queue of the sink it failed on.
+// The entry is removed only after the (journaled) enqueue, so a crash in between keeps it.
+// Returns null on success, or why the entry was kept (sink no longer configured, queue refused it)
+function replayDeadLetter(entry) {
+  const queue = sinkQueues.get(entry.sink || 'supabase');
+  if (!queue) return `Sink ${entry.sink} não está configurado`;
+
+  const queued = queue.enqueue({
+    botId: entry.botId,
+    botName: entry.botName,
+    botTokenPrefix: entry.botTokenPrefix,
+    type: entry.type,
+    idempotencyKey: entry.idempotencyKey || undefined,
+    payload: entry.payload,
+    attempts: entry.attempts
+  });
+  if (!queued) return 'Fila recusou o item (duplicado ou cheia)';
+
+  deadLetterStore.remove(entry.id);
+  deadLetterStore.stats.replayed++;
+  return null;
+}
+
+// List dead letters (filters: botId, botName, chatId, status, limit)
+app.get('/dead-letters', requireSyncSecret, (req, res) => {
+  const entries = deadLetterStore.list(getDeadLetterFilter(req.query));
+  const limit = parseInt(req.query.limit) || 100;
+
+  res.json({
+    total: entries.length,
+    entries: entries.slice(0, limit).map(summarizeDeadLetter),
+    stats: deadLetterStore.getStats()
+  });
+});
+
+// Inspect a single dead letter (full payload)
+app.get('/dead-letters/:id', requireSyncSecret, (req, res) => {
+  const entry = deadLetterStore.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead-letter não encontrado' });
+  }
+  res.json(entry);
+});
+
+// Replay a single dead letter
+app.post('/dead-letters/:id/replay', requireSyncSecret, (req, res) => {
+  const entry = deadLetterStore.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead-letter não encontrado' });
+  }
+
+  const replayError = replayDeadLetter(entry);
+  if (replayError) {
+    return res.status(409).json({ error: replayError });
+  }
+  console.log(`🔁 [${entry.botName}] Dead-letter ${entry.id} reenfileirado`);
+  res.json({ success: true, replayed: 1 });
+});
+
+// Replay by ids, filter or all (body: { ids } | { botId, botName, chatId, status } | { all: true })
+app.post('/dead-letters/replay', requireSyncSecret, (req, res) => {
+  const entries = selectDeadLetters(req.body);
+  if (!entries) {
+    return res.status(400).json({ error: 'Informe ids, um filtro ou { all: true }' });
+  }
+
+  const replayed = entries.filter(entry => !replayDeadLetter(entry)).length;
+  console.log(`🔁 ${replayed} dead-letters reenfileirados`);
+  res.json({ success: true, replayed, skipped: entries.length - replayed });
+});
+
+// Purge a single dead letter
+app.delete('/dead-letters/:id', requireSyncSecret, (req, res) => {
+  const removed = deadLetterStore.remove(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Dead-letter não encontrado' });
+  }
+
+  deadLetterStore.stats.purged++;
+  res.json({ success: true, purged: 1 });
+});
+
+// Purge by ids, filter or all (same body as replay)
+app.delete('/dead-letters', requireSyncSecret, (req, res) => {
+  const entries = selectDeadLetters(req.body);
+  if (!entries) {
+    return res.status(400).json({ error: 'Informe ids, um filtro ou { all: true }' });
+  }
+
+  for (const entry of entries) {
+    deadLetterStore.remove(entry.id);
+  }
+  deadLetterStore.stats.purged += entries.length;
+  console.log(`🗑️ ${entries.length} dead-letters removidos`);
+  res.json({ success: true, purged: entries.length });
+});
+
+// Reload all bots (called by Lovable when a new token is added)
+app.post('/reload-bots', requireSyncSecret, async (req, res) => {
+  const { botId } = req.body || {};
+  const action = req.body?.action || 'full_reload';
+  console.log(`🔄 Reload request - Action: ${action}, Bot ID: ${botId || 'all'}`);
+
+  if (!RECONCILE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action inválida (use ${RECONCILE_ACTIONS.join(', ')})` });
+  }
+  if (action !== 'full_reload' && !botId) {
+    return res.status(400).json({ error: `botId é obrigatório para action ${action}` });
+  }
+
+  // Fresh list from the database; only the differences are applied
+  let bots;
+  try {
+    bots = await fetchActiveBots();
+  } catch (error) {
+    console.error('Erro ao carregar bots:', error.message);
+    return res.status(502).json({ error: error.message });
+  }
+
+  const ownedBots = await selectOwnedBots(bots);
+
+  // Single-bot action on a bot leased by another instance: that instance handles it
+  const isOwnedElsewhere = shardCoordinator && action !== 'full_reload' && action !== 'remove' &&
+    bots.some(bot => String(bot.id) === String(botId)) && !shardCoordinator.owns(botId);
+
+  const results = isOwnedElsewhere
+    ? [{ botId: String(botId), botName: null, result: 'other_instance', owner: shardCoordinator.ownerOf(botId) }]
+    : await reconcileBots(ownedBots, { action, botId });
+  const summary = summarizeReconcile(results);
+  console.log(`✅ Reload concluído: ${JSON.stringify(summary)}`);
 
   res.json({
     success: true,
     message: 'Bots reloaded successfully',
     connectedBots: telegramClients.size,
     action,
-    botId
+    botId,
+    summary,
+    results
   });
 });
 
@@ -1062,6 +3237,16 @@ app.post('/connect/:botId', async (req, res) => {
     return res.status(404).json({ error: 'Bot não encontrado' });
   }
 
+  // Claiming again pins a bot already held, so rebalancing does not shed it
+  if (shardCoordinator && !(await shardCoordinator.claim(botId))) {
+    return res.status(409).json({
+      error: 'Bot atribuído a outra instância',
+      botId,
+      owner: shardCoordinator.ownerOf(botId)
+    });
+  }
+
+  heldBots.delete(String(botId));
   const success = await connectBot(bot);
   res.json({ success, botId, botName: bot.nome });
 });
@@ -1069,10 +3254,25 @@ app.post('/connect/:botId', async (req, res) => {
 // Disconnect a specific bot
 app.post('/disconnect/:botId', async (req, res) => {
   const { botId } = req.params;
-  await disconnectBot(botId);
+  // Stays down until /connect or /reload-bots (the registry sync would reconnect it)
+  heldBots.set(botId, { reason: 'manual', token: null });
+  await disconnectBot(botId, 'manual');
   res.json({ success: true, botId });
 });
 
+// unreachable/disconnected are transient here, the reconnect loop keeps trying
+const HEALTH_CHECK_STATES = {
+  healthy: 'healthy',
+  banned: 'banned',
+  auth_error: 'auth_error',
+  unreachable: 'degraded',
+  disconnected: 'degraded'
+};
+
+function recordHealthCheckResult(result) {
+  setBotHealth(result.botId, result.botName, HEALTH_CHECK_STATES[result.status], 'health_check', result.error);
+}
+
 // Health check all bots (for automated monitoring)
 app.get('/health-check-bots', async (req, res) => {
   const syncSecret = req.headers['x-sync-secret'];
@@ -1104,12 +3304,13 @@ app.get('/health-check-bots', async (req, res) => {
           console.log(`✅ [${clientInfo.botName}] Reconectado com sucesso`);
         } catch (reconnectError) {
           const errorMsg = reconnectError.message || String(reconnectError);
+          const errorState = classifyTelegramError(reconnectError);
           
-          if (errorMsg.includes('USER_DEACTIVATED') || errorMsg.includes('USER_DEACTIVATED_BAN')) {
+          if (errorState === 'banned') {
             result.status = 'banned';
             result.error = errorMsg;
             console.log(`🚫 [${clientInfo.botName}] Bot BANIDO: ${errorMsg}`);
-          } else if (errorMsg.includes('AUTH_KEY_UNREGISTERED') || errorMsg.includes('SESSION_REVOKED')) {
+          } else if (errorState === 'auth_error') {
             result.status = 'auth_error';
             result.error = errorMsg;
             console.log(`🔑 [${clientInfo.botName}] Erro de autenticação: ${errorMsg}`);
@@ -1119,6 +3320,7 @@ app.get('/health-check-bots', async (req, res) => {
             console.log(`🔌 [${clientInfo.botName}] Desconectado: ${errorMsg}`);
           }
           
+          recordHealthCheckResult(result);
           results.push(result);
           continue;
         }
@@ -1137,12 +3339,13 @@ app.get('/health-check-bots', async (req, res) => {
         console.log(`✅ [${clientInfo.botName}] Saudável (@${me.username})`);
       } catch (getMeError) {
         const errorMsg = getMeError.message || String(getMeError);
+        const errorState = classifyTelegramError(getMeError);
         
-        if (errorMsg.includes('USER_DEACTIVATED') || errorMsg.includes('USER_DEACTIVATED_BAN')) {
+        if (errorState === 'banned') {
           result.status = 'banned';
           result.error = errorMsg;
           console.log(`🚫 [${clientInfo.botName}] Bot BANIDO: ${errorMsg}`);
-        } else if (errorMsg.includes('AUTH_KEY_UNREGISTERED') || errorMsg.includes('SESSION_REVOKED')) {
+        } else if (errorState === 'auth_error') {
           result.status = 'auth_error';
           result.error = errorMsg;
           console.log(`🔑 [${clientInfo.botName}] Erro de autenticação: ${errorMsg}`);
@@ -1162,6 +3365,7 @@ app.get('/health-check-bots', async (req, res) => {
       console.log(`❓ [${clientInfo.botName}] Erro inesperado: ${error.message}`);
     }
 
+    recordHealthCheckResult(result);
     results.push(result);
   }
 
@@ -1187,12 +3391,16 @@ app.get('/status/:botId', (req, res) => {
       botId,
       botName: clientInfo.botName,
       botUsername: clientInfo.botUsername,
-      connectedAt: clientInfo.connectedAt
+      connectedAt: clientInfo.connectedAt,
+      cooldown: floodCooldowns.get(botId),
+      health: botHealth.get(botId)
     });
   } else {
     res.json({
       connected: false,
-      botId
+      botId,
+      cooldown: floodCooldowns.get(botId),
+      health: botHealth.get(botId)
     });
   }
 });
@@ -1212,22 +3420,82 @@ app.post('/send/:botId', async (req, res) => {
     return res.status(503).json({ error: 'Bot desconectado temporariamente' });
   }
 
+  if (rejectIfCoolingDown(botId, res)) return;
+
   try {
     const result = await clientInfo.client.sendMessage(chatId, {
       message,
       parseMode: parseMode || 'html'
     });
+    messageChatIndex.record(botId, bigIntToString(result.id), chatId);
 
     res.json({
       success: true,
       messageId: bigIntToString(result.id)
     });
   } catch (error) {
+    if (isBlockedByUserError(error)) {
+      recordSubscriberStatus(botId, chatId, 'blocked', 'send_error');
+      return res.status(403).json({ error: error.message, blocked: true });
+    }
+    const flood = handleFloodWait(botId, clientInfo.botName, error);
+    if (flood) {
+      return sendFloodWaitResponse(res, flood.seconds, flood.reason);
+    }
+    noteBotError(botId, clientInfo.botName, error);
     console.error(`[${clientInfo.botName}] Erro ao enviar mensagem:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Answer an inline button callback (toast, alert or URL)
+// body: { queryId, text?, alert?, url?, cacheTime? }
+app.post('/answer-callback/:botId', async (req, res) => {
+  const { botId } = req.params;
+  const { queryId, text, alert, url, cacheTime } = req.body || {};
+
+  const clientInfo = telegramClients.get(botId);
+
+  if (!clientInfo) {
+    return res.status(404).json({ error: 'Bot não conectado' });
+  }
+
+  if (!clientInfo.client.connected) {
+    return res.status(503).json({ error: 'Bot desconectado temporariamente' });
+  }
+
+  if (!queryId) {
+    return res.status(400).json({ error: 'queryId é obrigatório' });
+  }
+
+  if (rejectIfCoolingDown(botId, res)) return;
+
+  try {
+    await clientInfo.client.invoke(
+      new Api.messages.SetBotCallbackAnswer({
+        queryId: returnBigInt(String(queryId)),
+        message: text || undefined,
+        alert: alert === true,
+        url: url || undefined,
+        cacheTime: parseInt(cacheTime) || 0,
+      })
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    // Telegram only accepts answers for a short time after the tap
+    if (error.message?.includes('QUERY_ID_INVALID')) {
+      return res.status(400).json({ error: 'Callback expirado ou inválido' });
+    }
+    const flood = handleFloodWait(botId, clientInfo.botName, error);
+    if (flood) {
+      return sendFloodWaitResponse(res, flood.seconds, flood.reason);
+    }
+    console.error(`[${clientInfo.botName}] Erro ao responder callback:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get user status endpoint
 app.post('/user-status/:botId', async (req, res) => {
   const { botId } = req.params;
@@ -1441,6 +3709,8 @@ app.post('/send-file/:botId', async (req, res) => {
     return res.status(400).json({ error: 'chatId e arquivo são obrigatórios' });
   }
 
+  if (rejectIfCoolingDown(botId, res)) return;
+
   try {
     console.log(`📤 [${clientInfo.botName}] Enviando ${voice ? 'voice' : 'file'}: ${Math.round(buffer.length / 1024)}KB (${mimeType}) para chat ${chatId}, spoiler=${!!spoiler}`);
 
@@ -1534,11 +3804,22 @@ app.post('/send-file/:botId', async (req, res) => {
       console.log(`✅ [${clientInfo.botName}] Arquivo enviado, messageId: ${bigIntToString(result.id)}`);
     }
 
+    messageChatIndex.record(botId, bigIntToString(result.id), chatId);
+
     res.json({
       success: true,
       messageId: bigIntToString(result.id)
     });
   } catch (error) {
+    if (isBlockedByUserError(error)) {
+      recordSubscriberStatus(botId, chatId, 'blocked', 'send_error');
+      return res.status(403).json({ error: error.message, blocked: true });
+    }
+    const flood = handleFloodWait(botId, clientInfo.botName, error);
+    if (flood) {
+      return sendFloodWaitResponse(res, flood.seconds, flood.reason);
+    }
+    noteBotError(botId, clientInfo.botName, error);
     console.error(`[${clientInfo.botName}] Erro ao enviar arquivo:`, error);
     res.status(500).json({ error: error.message });
   }
@@ -1546,33 +3827,114 @@ app.post('/send-file/:botId', async (req, res) => {
 
 // ============= START SERVER =============
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`\n🌐 Servidor MTProto rodando na porta ${PORT}`);
   console.log(`   Health check: http://localhost:${PORT}/health`);
   console.log(`   Queue stats: http://localhost:${PORT}/queue-stats`);
   console.log('');
+
+  // Resume syncing whatever was left in the queue before the last shutdown
+  try {
+    const deadCount = deadLetterStore.load();
+    if (deadCount > 0) {
+      console.log(`🪦 ${deadCount} mensagens em dead-letter (veja /dead-letters)`);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao carregar dead-letters:', error.message);
+  }
+  for (const queue of sinkQueues.values()) {
+    queue.restore();
+  }
+  try {
+    contactRegistry.load();
+  } catch (error) {
+    console.error('❌ Erro ao carregar contatos:', error.message);
+  }
+  try {
+    updateStateStore.load();
+  } catch (error) {
+    console.error('❌ Erro ao carregar estado de updates:', error.message);
+  }
   
+  // Heartbeat first: connecting every bot can take longer than the lease TTL
+  startShardHeartbeat();
   // Load and connect bots on startup
   await loadAndConnectBots();
+  startBotRegistrySync();
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('⚠️ Recebido SIGTERM, desconectando bots...');
-  
-  for (const [botId] of telegramClients) {
-    await disconnectBot(botId);
+// ============= GRACEFUL SHUTDOWN =============
+
+function isDrained() {
+  return inFlight.size === 0 && chatSequencer.size === 0 &&
+    Array.from(sinkQueues.values()).every(queue => queue.isIdle());
+}
+
+// Stop intake, drain the queues and in-flight work until the deadline, persist the rest,
+// disconnect and exit. A second signal exits right away.
+async function shutdown(signal) {
+  if (shutdownStartedAt) {
+    console.warn(`⚠️ Recebido ${signal} durante o desligamento, saindo imediatamente`);
+    process.exit(1);
   }
-  
-  process.exit(0);
-});
 
-process.on('SIGINT', async () => {
-  console.log('⚠️ Recebido SIGINT, desconectando bots...');
-  
-  for (const [botId] of telegramClients) {
-    await disconnectBot(botId);
+  shutdownStartedAt = Date.now();
+  const deadline = shutdownStartedAt + SHUTDOWN_CONFIG.timeoutMs;
+  const processedBefore = getQueueStats().processed;
+  console.log(`⚠️ Recebido ${signal}, desligando (prazo de ${Math.round(SHUTDOWN_CONFIG.timeoutMs / 1000)}s)...`);
+
+  // 1. No new HTTP requests, updates, reconnects or registry changes
+  server.close();
+  for (const timer of backgroundTimers) {
+    clearInterval(timer);
   }
-  
+  for (const botId of Array.from(connectRetryTimers.keys())) {
+    cancelConnectRetry(botId);
+  }
+  if (registryChannel) {
+    supabaseAdmin.removeChannel(registryChannel).catch(() => {});
+  }
+  // Reported now so the 'stopped' events are delivered with the drain
+  for (const [botId, clientInfo] of telegramClients) {
+    clientInfo.stopping = true;
+    setBotHealth(botId, clientInfo.botName, 'stopped', 'shutdown');
+  }
+
+  // 2. Let running requests, handlers (media uploads included) and the queues finish
+  while (!isDrained() && Date.now() < deadline) {
+    await sleep(100);
+  }
+  const drained = isDrained();
+  const interrupted = inFlight.byKind();
+
+  // 3. Persist what is left (resent on the next boot)
+  let remaining = 0;
+  for (const queue of sinkQueues.values()) {
+    remaining += queue.close();
+  }
+  try {
+    updateStateStore.flush();
+  } catch (error) {
+    console.error('❌ Erro ao gravar estado de updates:', error.message);
+  }
+
+  // 4. Disconnect, then let other instances take these bots over right away
+  const botCount = telegramClients.size;
+  for (const botId of Array.from(telegramClients.keys())) {
+    await disconnectBot(botId, 'shutdown');
+  }
+  await shardCoordinator?.releaseAll();
+
+  const elapsedSec = ((Date.now() - shutdownStartedAt) / 1000).toFixed(1);
+  console.log(
+    `🏁 Desligamento ${drained ? 'concluído' : 'no prazo limite'} em ${elapsedSec}s | ` +
+    `${getQueueStats().processed - processedBefore} mensagens entregues durante o desligamento, ` +
+    `${remaining} pendentes salvas em disco, ${botCount} bots desconectados` +
+    (Object.keys(interrupted).length > 0 ? ` | interrompidos: ${JSON.stringify(interrupted)}` : '')
+  );
+
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
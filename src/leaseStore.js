@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lease stores for sharding bots across instances. A lease is { key, owner, expiresAt (ms) };
+// keys are bot ids, plus one "instance:<id>" presence lease per running instance.
+// Each store exposes
+//   claim(key, owner, ttlMs)    -> true if the lease is now held by owner (free, expired or already ours)
+//   renew(keys, owner, ttlMs)   -> keys still held by owner, with their expiry extended
+//   release(key, owner)
+//   list()                      -> every lease, expired ones included
+// Expiry uses each instance's clock, so hosts should run NTP.
+
+// Local JSON file. Only safe for instances on the same host (tests, local development).
+function createFileLeaseStore({ filePath }) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+    } catch {
+      // Torn read while another process renames the file, treat as empty this round
+      return {};
+    }
+  }
+
+  function writeAll(leases) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(leases, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    type: 'file',
+
+    async claim(key, owner, ttlMs) {
+      const now = Date.now();
+      const leases = readAll();
+      const lease = leases[key];
+      if (lease && lease.owner !== owner && lease.expiresAt > now) return false;
+
+      leases[key] = { owner, expiresAt: now + ttlMs };
+      writeAll(leases);
+      return true;
+    },
+
+    async renew(keys, owner, ttlMs) {
+      const expiresAt = Date.now() + ttlMs;
+      const leases = readAll();
+      const renewed = keys.filter(key => leases[key]?.owner === owner);
+
+      for (const key of renewed) {
+        leases[key].expiresAt = expiresAt;
+      }
+      if (renewed.length > 0) writeAll(leases);
+      return renewed;
+    },
+
+    async release(key, owner) {
+      const leases = readAll();
+      if (leases[key]?.owner !== owner) return;
+      delete leases[key];
+      writeAll(leases);
+    },
+
+    async list() {
+      return Object.entries(readAll()).map(([key, lease]) => ({ key, ...lease }));
+    }
+  };
+}
+
+// Supabase table (lease_key text primary key, owner text, expires_at timestamptz).
+// Claims rely on the primary key (insert) and a conditional update, both atomic per row.
+function createSupabaseLeaseStore({ client, table = 'telegram_bot_leases' }) {
+  if (!client) throw new Error('Lease store supabase: SUPABASE_SERVICE_ROLE_KEY é obrigatório');
+
+  return {
+    type: 'supabase',
+
+    async claim(key, owner, ttlMs) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+
+      const { error } = await client
+        .from(table)
+        .insert({ lease_key: key, owner, expires_at: expiresAt });
+      if (!error) return true;
+      // 23505: lease row exists, take it over only if it is ours or expired
+      if (error.code !== '23505') throw new Error(error.message);
+
+      const { data, error: updateError } = await client
+        .from(table)
+        .update({ owner, expires_at: expiresAt })
+        .eq('lease_key', key)
+        .or(`owner.eq."${owner}",expires_at.lt."${now.toISOString()}"`)
+        .select('lease_key');
+
+      if (updateError) throw new Error(updateError.message);
+      return data.length > 0;
+    },
+
+    async renew(keys, owner, ttlMs) {
+      if (keys.length === 0) return [];
+
+      const { data, error } = await client
+        .from(table)
+        .update({ expires_at: new Date(Date.now() + ttlMs).toISOString() })
+        .eq('owner', owner)
+        .in('lease_key', keys)
+        .select('lease_key');
+
+      if (error) throw new Error(error.message);
+      return data.map(row => row.lease_key);
+    },
+
+    async release(key, owner) {
+      const { error } = await client
+        .from(table)
+        .delete()
+        .eq('lease_key', key)
+        .eq('owner', owner);
+
+      if (error) throw new Error(error.message);
+    },
+
+    async list() {
+      const { data, error } = await client
+        .from(table)
+        .select('lease_key, owner, expires_at');
+
+      if (error) throw new Error(error.message);
+      return data.map(row => ({
+        key: row.lease_key,
+        owner: row.owner,
+        expiresAt: new Date(row.expires_at).getTime()
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createFileLeaseStore,
+  createSupabaseLeaseStore
+};
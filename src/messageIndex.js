@@ -0,0 +1,34 @@
+// Bounded index of message id -> chat id, per bot.
+// Telegram doesn't say which chat a message was deleted from in private chats and
+// small groups (ids are unique per account there), so the message handler records
+// every message it sees and deletions are mapped back through this index.
+class MessageChatIndex {
+  constructor(maxSize = 100000) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  record(botId, messageId, chatId) {
+    const key = `${botId}:${messageId}`;
+    this.entries.delete(key);
+    this.entries.set(key, String(chatId));
+
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  lookup(botId, messageId) {
+    return this.entries.get(`${botId}:${messageId}`) || null;
+  }
+
+  forget(botId, messageId) {
+    this.entries.delete(`${botId}:${messageId}`);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { MessageChatIndex };
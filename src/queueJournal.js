@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only journal that keeps queue items on disk until they are acknowledged.
+// Each line is a JSON record: { op: 'add', item } or { op: 'ack', id }.
+// On boot the journal is replayed and every item without an ack is pending again.
+class QueueJournal {
+  constructor(filePath, { compactThreshold = 5000 } = {}) {
+    this.filePath = filePath;
+    this.compactThreshold = compactThreshold;
+    this.fd = null;
+    this.opsSinceCompact = 0;
+  }
+
+  open() {
+    if (this.fd !== null) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  close() {
+    if (this.fd === null) return;
+    try {
+      fs.closeSync(this.fd);
+    } finally {
+      this.fd = null;
+    }
+  }
+
+  // Replay the journal and return pending items in their original order
+  load() {
+    const pending = new Map();
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          // Partial write from a crash, ignore the truncated line
+          continue;
+        }
+        if (record.op === 'add' && record.item?.id) {
+          pending.set(record.item.id, record.item);
+        } else if (record.op === 'ack' && record.id) {
+          pending.delete(record.id);
+        }
+      }
+    }
+
+    return Array.from(pending.values());
+  }
+
+  append(item) {
+    this.write({ op: 'add', item });
+  }
+
+  ack(id) {
+    this.write({ op: 'ack', id });
+  }
+
+  // Rewrite the journal with only the pending items (atomic via rename)
+  compact(pendingItems) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = pendingItems
+      .map((item) => JSON.stringify({ op: 'add', item }) + '\n')
+      .join('');
+
+    this.close();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.filePath);
+    this.opsSinceCompact = 0;
+    this.open();
+  }
+
+  shouldCompact() {
+    return this.opsSinceCompact >= this.compactThreshold;
+  }
+
+  write(record) {
+    this.open();
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    this.opsSinceCompact++;
+  }
+}
+
+module.exports = { QueueJournal };
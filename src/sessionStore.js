@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// MTProto session stores, keyed by bot id. Each store exposes
+//   get(botId)            -> { session, tokenHash, updatedAt } | null
+//   save(botId, record)   where record is { session, tokenHash }
+//   delete(botId)
+// A session string holds the bot's auth key, so it is always encrypted at rest
+// (AES-256-GCM, key derived from SESSION_ENCRYPTION_KEY). tokenHash lets the caller
+// discard a session that was created with a different bot token.
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+// "v1:<iv>:<tag>:<ciphertext>", all base64
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(key, value) {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== 'v1' || !iv || !tag || !ciphertext) {
+    throw new Error('Formato de sessão inválido');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Helper: Hash of the bot token stored next to the session
+function hashToken(botToken) {
+  return crypto.createHash('sha256').update(String(botToken)).digest('hex');
+}
+
+// Single JSON file { [botId]: { session, tokenHash, updatedAt } }, rewritten atomically
+function createFileSessionStore({ filePath, secret }) {
+  if (!secret) throw new Error('Session store file: chave de criptografia é obrigatória');
+
+  const key = deriveKey(secret);
+  let cache = null;
+
+  function readAll() {
+    if (cache) return cache;
+    cache = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') : {};
+    return cache;
+  }
+
+  function writeAll(entries) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+    cache = entries;
+  }
+
+  return {
+    type: 'file',
+
+    async get(botId) {
+      const entry = readAll()[botId];
+      if (!entry) return null;
+      return { session: decrypt(key, entry.session), tokenHash: entry.tokenHash, updatedAt: entry.updatedAt };
+    },
+
+    async save(botId, { session, tokenHash }) {
+      const entries = { ...readAll() };
+      entries[botId] = { session: encrypt(key, session), tokenHash, updatedAt: new Date().toISOString() };
+      writeAll(entries);
+    },
+
+    async delete(botId) {
+      const entries = { ...readAll() };
+      if (!(botId in entries)) return;
+      delete entries[botId];
+      writeAll(entries);
+    }
+  };
+}
+
+// Supabase table (bot_id text primary key, session text, token_hash text, updated_at timestamptz)
+function createSupabaseSessionStore({ client, table = 'telegram_bot_sessions', secret }) {
+  if (!client) throw new Error('Session store supabase: SUPABASE_SERVICE_ROLE_KEY é obrigatório');
+  if (!secret) throw new Error('Session store supabase: chave de criptografia é obrigatória');
+
+  const key = deriveKey(secret);
+
+  return {
+    type: 'supabase',
+
+    async get(botId) {
+      const { data, error } = await client
+        .from(table)
+        .select('session, token_hash, updated_at')
+        .eq('bot_id', String(botId))
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!data) return null;
+      return { session: decrypt(key, data.session), tokenHash: data.token_hash, updatedAt: data.updated_at };
+    },
+
+    async save(botId, { session, tokenHash }) {
+      const { error } = await client
+        .from(table)
+        .upsert({
+          bot_id: String(botId),
+          session: encrypt(key, session),
+          token_hash: tokenHash,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'bot_id' });
+
+      if (error) throw new Error(error.message);
+    },
+
+    async delete(botId) {
+      const { error } = await client.from(table).delete().eq('bot_id', String(botId));
+      if (error) throw new Error(error.message);
+    }
+  };
+}
+
+module.exports = {
+  hashToken,
+  createFileSessionStore,
+  createSupabaseSessionStore
+};
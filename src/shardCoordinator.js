@@ -0,0 +1,184 @@
+// Splits the bots between running instances using leases (see leaseStore.js).
+//
+// Every heartbeat an instance renews its presence lease and the bot leases it holds,
+// then evens out: with N live instances each one aims for ceil(bots / N) bots, releasing
+// extras and claiming free or expired leases (takeover of bots from dead instances).
+// Bots claimed explicitly (claim(), e.g. /connect/:botId) are never shed; when over the
+// share, the most recently acquired bots go first so long-held assignments stay put.
+// The caller connects the bots returned by assign() and disconnects everything else.
+
+const PRESENCE_PREFIX = 'instance:';
+
+class ShardCoordinator {
+  constructor(store, { instanceId, leaseTtlMs = 60000 }) {
+    this.store = store;
+    this.instanceId = instanceId;
+    this.leaseTtlMs = leaseTtlMs;
+    this.owned = new Set();
+    this.pinned = new Set();
+    // botId -> { acquiredAt, renewedAt } (ms), to drop leases that may have expired
+    this.held = new Map();
+    this.leases = [];
+    this.instances = [instanceId];
+    this.lastHeartbeatAt = null;
+    this.lastError = null;
+    this.chain = Promise.resolve();
+  }
+
+  // Calls are serialized: heartbeats and registry syncs may overlap
+  exclusive(fn) {
+    const run = this.chain.then(fn);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  // Returns the Set of bot ids this instance holds after rebalancing.
+  // If the store is unreachable the bots are kept only while their leases can still be
+  // valid: other instances may reach the store and take over expired leases.
+  assign(bots) {
+    return this.exclusive(async () => {
+      try {
+        await this.rebalance(bots.map(bot => String(bot.id)));
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('⚠️ Erro no lease de bots:', error.message);
+        this.dropExpired();
+      }
+      return new Set(this.owned);
+    });
+  }
+
+  dropExpired() {
+    const now = Date.now();
+    for (const botId of this.owned) {
+      if (now - this.held.get(botId).renewedAt >= this.leaseTtlMs) {
+        console.warn(`⚠️ Lease do bot ${botId} não renovado a tempo, liberando o bot`);
+        this.drop(botId);
+      }
+    }
+  }
+
+  acquire(botId) {
+    const now = Date.now();
+    this.owned.add(botId);
+    this.held.set(botId, { acquiredAt: this.held.get(botId)?.acquiredAt ?? now, renewedAt: now });
+  }
+
+  drop(botId) {
+    this.owned.delete(botId);
+    this.pinned.delete(botId);
+    this.held.delete(botId);
+  }
+
+  async rebalance(botIds) {
+    const { store, instanceId, leaseTtlMs } = this;
+
+    await store.claim(PRESENCE_PREFIX + instanceId, instanceId, leaseTtlMs);
+
+    // Leases we failed to renew were taken over after a missed heartbeat
+    const renewedAt = Date.now();
+    const renewed = new Set(await store.renew(Array.from(this.owned), instanceId, leaseTtlMs));
+    for (const botId of this.owned) {
+      if (renewed.has(botId)) {
+        this.held.get(botId).renewedAt = renewedAt;
+      } else {
+        console.warn(`⚠️ Lease do bot ${botId} perdido para outra instância`);
+        this.drop(botId);
+      }
+    }
+    this.lastHeartbeatAt = new Date(renewedAt).toISOString();
+
+    const wanted = new Set(botIds);
+    const now = Date.now();
+    const live = (await store.list()).filter(lease => lease.expiresAt > now);
+    const instances = new Set(live.filter(isPresence).map(lease => lease.owner));
+    instances.add(instanceId);
+    const target = Math.ceil(wanted.size / instances.size);
+
+    // Bots gone from the registry, then the newest unpinned bots above our share
+    const release = Array.from(this.owned).filter(botId => !wanted.has(botId));
+    const sheddable = Array.from(this.owned)
+      .filter(botId => wanted.has(botId) && !this.pinned.has(botId))
+      .sort((a, b) => this.held.get(b).acquiredAt - this.held.get(a).acquiredAt || b.localeCompare(a));
+    const excess = this.owned.size - release.length - target;
+    release.push(...sheddable.slice(0, Math.max(0, excess)));
+    for (const botId of release) {
+      await store.release(botId, instanceId);
+      this.drop(botId);
+    }
+
+    const heldByOthers = new Set(
+      live.filter(lease => !isPresence(lease) && lease.owner !== instanceId).map(lease => lease.key)
+    );
+    for (const botId of Array.from(wanted).sort()) {
+      if (this.owned.size >= target) break;
+      if (this.owned.has(botId) || heldByOthers.has(botId)) continue;
+      if (await store.claim(botId, instanceId, leaseTtlMs)) {
+        this.acquire(botId);
+      }
+    }
+
+    this.instances = Array.from(instances).sort();
+    this.leases = (await store.list()).filter(lease => !isPresence(lease) && lease.expiresAt > Date.now());
+  }
+
+  // Explicit claim of one bot (e.g. /connect/:botId), outside the fair share: it is kept
+  // until it leaves the registry or the lease is lost
+  claim(botId) {
+    return this.exclusive(async () => {
+      const key = String(botId);
+      const claimed = await this.store.claim(key, this.instanceId, this.leaseTtlMs);
+      if (claimed) {
+        this.acquire(key);
+        this.pinned.add(key);
+      }
+      return claimed;
+    });
+  }
+
+  owns(botId) {
+    return this.owned.has(String(botId));
+  }
+
+  ownerOf(botId) {
+    if (this.owns(botId)) return this.instanceId;
+    return this.leases.find(lease => lease.key === String(botId))?.owner || null;
+  }
+
+  // Give everything back so other instances take over right away (graceful shutdown)
+  releaseAll() {
+    return this.exclusive(async () => {
+      for (const botId of this.owned) {
+        await this.store.release(botId, this.instanceId).catch(() => {});
+      }
+      this.owned.clear();
+      this.pinned.clear();
+      this.held.clear();
+      await this.store.release(PRESENCE_PREFIX + this.instanceId, this.instanceId).catch(() => {});
+    });
+  }
+
+  getState() {
+    return {
+      instanceId: this.instanceId,
+      store: this.store.type,
+      instances: this.instances,
+      ownedBots: Array.from(this.owned).sort(),
+      pinnedBots: Array.from(this.pinned).sort(),
+      leases: this.leases.map(lease => ({
+        botId: lease.key,
+        owner: lease.owner,
+        expiresAt: new Date(lease.expiresAt).toISOString()
+      })),
+      lastHeartbeatAt: this.lastHeartbeatAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+function isPresence(lease) {
+  return lease.key.startsWith(PRESENCE_PREFIX);
+}
+
+module.exports = { ShardCoordinator };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { batchIdempotencyKey } = require('./idempotency');
+
+// Delivery sinks. Each sink exposes deliver(items) which resolves to one
+// { ok, status, error, retryable } per item, in order. Throwing marks the
+// whole batch as a retryable failure. `types` (optional) limits the event
+// types a sink receives, e.g. ["bot_status"].
+
+// Helper: Normalized event shape written by the non-Supabase sinks
+function toEvent(item) {
+  return {
+    id: item.id,
+    idempotencyKey: item.idempotencyKey,
+    type: item.type || 'message',
+    botId: item.botId ?? null,
+    botName: item.botName,
+    enqueuedAt: new Date(item.enqueuedAt).toISOString(),
+    data: item.payload
+  };
+}
+
+// Generic HTTP webhook: POST { events: [...] } with custom headers
+function createWebhookSink(config) {
+  if (!config.url) {
+    throw new Error(`Sink ${config.name || 'webhook'}: url é obrigatório`);
+  }
+
+  const timeoutMs = config.timeoutMs || 30000;
+
+  return {
+    name: config.name || 'webhook',
+    type: 'webhook',
+    batchSize: config.batchSize,
+    maxRetries: config.maxRetries,
+    types: config.types || null,
+
+    async deliver(items) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(config.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': batchIdempotencyKey(items),
+            ...(config.headers || {})
+          },
+          body: JSON.stringify({ events: items.map(toEvent) }),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          return items.map(() => ({ ok: true, status: response.status, error: null }));
+        }
+
+        const errorText = await response.text().catch(() => '');
+        const retryable = !(response.status >= 400 && response.status < 500);
+        return items.map(() => ({ ok: false, status: response.status, error: errorText, retryable }));
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+// Local JSONL archive, one event per line
+function createFileSink(config) {
+  if (!config.path) {
+    throw new Error(`Sink ${config.name || 'file'}: path é obrigatório`);
+  }
+
+  return {
+    name: config.name || 'file',
+    type: 'file',
+    batchSize: config.batchSize,
+    maxRetries: config.maxRetries,
+    types: config.types || null,
+
+    async deliver(items) {
+      await fs.promises.mkdir(path.dirname(config.path), { recursive: true });
+      const lines = items.map(item => JSON.stringify(toEvent(item)) + '\n').join('');
+      await fs.promises.appendFile(config.path, lines);
+      return items.map(() => ({ ok: true, status: null, error: null }));
+    }
+  };
+}
+
+// Print each event as a JSON line (useful with log drains)
+function createStdoutSink(config) {
+  return {
+    name: config.name || 'stdout',
+    type: 'stdout',
+    batchSize: config.batchSize,
+    maxRetries: config.maxRetries,
+    types: config.types || null,
+
+    async deliver(items) {
+      for (const item of items) {
+        process.stdout.write(JSON.stringify(toEvent(item)) + '\n');
+      }
+      return items.map(() => ({ ok: true, status: null, error: null }));
+    }
+  };
+}
+
+module.exports = {
+  createWebhookSink,
+  createFileSink,
+  createStdoutSink
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 request signing for calls to the backend functions.
+//
+// Headers:
+//   x-sync-timestamp  unix time in seconds
+//   x-sync-nonce      random hex, unique per request attempt
+//   x-sync-signature  hex HMAC-SHA256(secret, `${timestamp}.${nonce}.${METHOD}.${path}.${body}`)
+//
+// Method and path are signed so a captured request cannot be replayed against another
+// endpoint. The receiving side recomputes the signature over the raw body, rejects
+// timestamps outside the tolerance window and nonces it has already seen
+// (edge/verifySyncSignature.ts for the Deno edge functions).
+
+const HEADERS = {
+  timestamp: 'x-sync-timestamp',
+  nonce: 'x-sync-nonce',
+  signature: 'x-sync-signature'
+};
+
+function computeSignature(secret, timestamp, nonce, method, path, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body || ''}`)
+    .digest('hex');
+}
+
+// Headers to add to an outbound request; `path` is the URL pathname and `body` the exact string sent
+function signRequest(secret, { method = 'GET', path, body }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    [HEADERS.timestamp]: timestamp,
+    [HEADERS.nonce]: nonce,
+    [HEADERS.signature]: computeSignature(secret, timestamp, nonce, method, path, body)
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADERS: HEADERS,
+  signRequest
+};
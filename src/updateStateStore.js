@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// Last known MTProto update state per bot ({ pts, qts, date, seq }), used as the
+// starting point of updates.getDifference after a reconnect or restart.
+// Values only move forward; writes are batched and the file is replaced atomically.
+class UpdateStateStore {
+  constructor(filePath, { flushDelayMs = 1000 } = {}) {
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.states = new Map();
+    this.flushTimer = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+      for (const [botId, state] of Object.entries(entries)) {
+        this.states.set(botId, state);
+      }
+    }
+    return this.states.size;
+  }
+
+  get(botId) {
+    const state = this.states.get(String(botId));
+    return state ? { ...state } : null;
+  }
+
+  // Merge known fields, keeping the highest value of each
+  update(botId, partial) {
+    const key = String(botId);
+    const current = this.states.get(key) || { pts: 0, qts: 0, date: 0, seq: 0 };
+    const next = { ...current };
+    let changed = !this.states.has(key);
+
+    for (const field of ['pts', 'qts', 'date', 'seq']) {
+      const value = partial[field];
+      if (typeof value === 'number' && value > next[field]) {
+        next[field] = value;
+        changed = true;
+      }
+    }
+
+    if (!changed) return;
+    next.updatedAt = new Date().toISOString();
+    this.states.set(key, next);
+    this.scheduleFlush();
+  }
+
+  delete(botId) {
+    if (this.states.delete(String(botId))) {
+      this.scheduleFlush();
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      try {
+        this.flush();
+      } catch (error) {
+        console.error('⚠️ Erro ao gravar estado de updates:', error.message);
+      }
+    }, this.flushDelayMs);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.states), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { UpdateStateStore };